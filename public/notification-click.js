@@ -0,0 +1,11 @@
+// Imported by the generated service worker. Tapping a reminder focuses an open
+// window of the app, or opens a new one.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => 'focus' in c);
+      return client ? client.focus() : self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
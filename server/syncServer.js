@@ -0,0 +1,160 @@
+// --- Reference Sync Server ---
+// A dependency-free Node server for the optional sync in src/sync.js:
+//
+//   npm run sync-server
+//
+// One endpoint, POST /spaces/:space/sync with `{ device, since, changes }`. The
+// pushed changes are merged with the same rule the app uses (later `at` wins, the
+// device id breaks ties), and the response holds every winning change newer than
+// `since` that came from another device, plus the new cursor. A pushed change that
+// loses is answered with the record that beat it, whatever its age or device, so the
+// pushing device does not keep its stale value.
+//
+// Each space is one JSON file in SYNC_DATA_DIR (default ./sync-data). Set
+// SYNC_TOKEN to require `Authorization: Bearer <token>`; PORT defaults to 8787.
+
+import http from 'node:http';
+import path from 'node:path';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { SYNCED_COLLECTIONS, SYNC_SPACE_PATTERN, getChangeKey, isNewerChange } from '../src/sync.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const ROUTE = /^\/spaces\/([^/]+)\/sync$/;
+const COLLECTIONS = [...SYNCED_COLLECTIONS, 'settings'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const isValidChange = (change) =>
+  Boolean(change) &&
+  COLLECTIONS.includes(change.collection) &&
+  (typeof change.id === 'string' || Number.isFinite(change.id)) &&
+  typeof change.at === 'string' &&
+  typeof change.device === 'string' &&
+  typeof change.deleted === 'boolean';
+
+// --- Space Storage ---
+// A space file is `{ seq, records }`: per record key, the winning `change` and the
+// sequence number `seq` it was stored under.
+
+const getSpaceFile = (space) => path.join(DATA_DIR, `${space}.json`);
+
+const loadSpace = async (space) => {
+  try {
+    return JSON.parse(await readFile(getSpaceFile(space), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { seq: 0, records: {} };
+    throw err;
+  }
+};
+
+// Written to a temporary file first so a crash never leaves half a space behind
+const saveSpace = async (space, state) => {
+  await mkdir(DATA_DIR, { recursive: true });
+  const file = getSpaceFile(space);
+  await writeFile(`${file}.tmp`, JSON.stringify(state));
+  await rename(`${file}.tmp`, file);
+};
+
+// Requests for the same space run one at a time
+const queues = new Map();
+const inSpace = (space, task) => {
+  const run = (queues.get(space) || Promise.resolve()).then(task);
+  queues.set(space, run.catch(() => {}));
+  return run;
+};
+
+const syncSpace = (space, { device, since, changes }) => inSpace(space, async () => {
+  const state = await loadSpace(space);
+  const before = state.seq;
+  const rejected = new Set();
+
+  changes.filter(isValidChange).forEach(change => {
+    const key = getChangeKey(change);
+    if (!isNewerChange(change, state.records[key]?.change)) {
+      rejected.add(key);
+      return;
+    }
+    rejected.delete(key);
+    state.seq += 1;
+    state.records[key] = { seq: state.seq, change };
+  });
+  if (state.seq !== before) await saveSpace(space, state);
+
+  const pulled = Object.entries(state.records)
+    .filter(([key, record]) => rejected.has(key) || (record.seq > since && record.change.device !== device))
+    .map(([, record]) => record)
+    .sort((a, b) => a.seq - b.seq)
+    .map(record => record.change);
+  return { cursor: state.seq, changes: pulled };
+});
+
+// --- HTTP ---
+
+const handle = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const match = new URL(req.url, 'http://localhost').pathname.match(ROUTE);
+  if (!match) return send(res, 404, { error: 'Not found' });
+  if (req.method !== 'POST') return send(res, 405, { error: 'Use POST' });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Invalid token' });
+
+  const space = decodeURIComponent(match[1]);
+  if (!SYNC_SPACE_PATTERN.test(space)) return send(res, 400, { error: 'Invalid space name' });
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    return send(res, err.status || 400, { error: err.status ? err.message : 'Invalid JSON' });
+  }
+  if (typeof body?.device !== 'string' || !Array.isArray(body.changes)) {
+    return send(res, 400, { error: 'Expected { device, since, changes }' });
+  }
+
+  const since = Number.isFinite(body.since) ? body.since : 0;
+  send(res, 200, await syncSpace(space, { device: body.device, since, changes: body.changes }));
+};
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch(err => {
+      console.error(err);
+      if (!res.headersSent) send(res, 500, { error: 'Internal error' });
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`Sync server listening on http://localhost:${PORT} (data in ${DATA_DIR})`);
+  });
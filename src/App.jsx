@@ -1,7 +1,49 @@
+import { useState } from "react";
 import Game from "./Game";
+import PinLock from "./PinLock";
+import { getUnlockedId, loadProfiles, saveProfiles } from "./profiles";
+import { deleteProfileData } from "./storage";
 
 function App() {
-return <Game />
+  const [profileState, setProfileState] = useState(loadProfiles);
+  // The profile whose PIN was entered this session; switching away locks it again
+  const [unlockedId, setUnlockedId] = useState(null);
+
+  const activeProfile = profileState.profiles.find(p => p.id === profileState.activeId);
+
+  const updateProfiles = (next) => {
+    setUnlockedId(getUnlockedId(profileState, next));
+    setProfileState(next);
+    saveProfiles(next);
+  };
+
+  const deleteProfile = async (profileId) => {
+    updateProfiles({ ...profileState, profiles: profileState.profiles.filter(p => p.id !== profileId) });
+    await deleteProfileData(profileId).catch(err => console.error('Failed to delete profile data', err));
+  };
+
+  if (activeProfile.pinHash && unlockedId !== activeProfile.id) {
+    return (
+      <PinLock
+        key={activeProfile.id}
+        profile={activeProfile}
+        profiles={profileState.profiles}
+        onUnlock={() => setUnlockedId(activeProfile.id)}
+        onSwitch={(profileId) => updateProfiles({ ...profileState, activeId: profileId })}
+      />
+    );
+  }
+
+  // Keyed by profile so switching remounts the game and loads the other ledger
+  return (
+    <Game
+      key={activeProfile.id}
+      profile={activeProfile}
+      profiles={profileState}
+      onProfilesChange={updateProfiles}
+      onDeleteProfile={deleteProfile}
+    />
+  );
 }
 
 export default App;
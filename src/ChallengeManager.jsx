@@ -0,0 +1,336 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Pencil, Trash2, Plus, Trophy, Flag, X } from 'lucide-react';
+import { Button, Card, HabitIcon } from './ui';
+import { getActiveHabits } from './habits';
+import { shiftDay } from './dates';
+import {
+  CHALLENGE_TYPES,
+  CHALLENGE_TEMPLATES,
+  normalizeChallenge,
+  createFromTemplate,
+  describeChallengeProgress,
+  describeChallengeTime
+} from './challenges';
+import { useFormat } from './format';
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+// Avoid challenges watch penalty habits; the others count earning ones
+const getChallengeHabits = (habits, type) => getActiveHabits(habits, type === 'avoid' ? 'penalty' : 'earning');
+
+// Progress bar for one open challenge, shared with the Home screen
+export const ChallengeProgressCard = ({ challenge, progress, habit, actions = null }) => {
+  const format = useFormat();
+  return (
+    <Card className="space-y-3">
+      <div className="flex justify-between items-start gap-3">
+        <div className="flex gap-3 items-center min-w-0">
+          <div className="p-2 bg-amber-50 text-amber-600 rounded-lg"><HabitIcon name={habit?.icon || 'Trophy'} /></div>
+          <div className="min-w-0">
+            <div className="font-bold text-slate-800 text-sm truncate">{challenge.name}</div>
+            <div className="text-xs text-slate-500">
+              {format.signed(challenge.bonus)} bonus{challenge.forfeit > 0 && ` · ${format.signed(-challenge.forfeit)} if failed`}
+            </div>
+          </div>
+        </div>
+        {actions}
+      </div>
+
+      <div>
+        <div className="flex justify-between text-xs mb-1">
+          <span className="font-bold text-slate-700">{describeChallengeProgress(challenge, progress, habit)}</span>
+          <span className="text-slate-400">{describeChallengeTime(challenge, progress, format)}</span>
+        </div>
+        <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+          <div className="h-full bg-amber-400 rounded-full transition-all" style={{ width: `${progress.ratio * 100}%` }}></div>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+const ChallengeForm = ({ initial, habits, todayKey, onSave, onCancel }) => {
+  const format = useFormat();
+  const [draft, setDraft] = useState(initial);
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const options = getChallengeHabits(habits, draft.type);
+  const unit = habits.find(h => h.id === draft.habitId)?.unit;
+
+  const changeType = (type) => setDraft(prev => {
+    const available = getChallengeHabits(habits, type);
+    const habitId = available.some(h => h.id === prev.habitId) ? prev.habitId : available[0]?.id || null;
+    return { ...prev, type, habitId };
+  });
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Challenge' : 'New Challenge'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          if (draft.habitId) onSave(normalizeChallenge(draft));
+        }}>
+          <input
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+            autoFocus
+            placeholder="e.g. Run 10 km this week"
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Goal</label>
+          <div className="flex gap-2 mb-4">
+            {CHALLENGE_TYPES.map(type => (
+              <button
+                key={type.id}
+                type="button"
+                onClick={() => changeType(type.id)}
+                className={`flex-1 py-2 text-center border rounded-lg text-xs font-medium transition-all ${draft.type === type.id ? 'bg-teal-50 border-teal-500 text-teal-700' : 'border-slate-200 text-slate-600'}`}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+
+          <label className={labelClass}>{draft.type === 'avoid' ? 'Never log' : 'Habit'}</label>
+          <select
+            value={draft.habitId || ''}
+            onChange={(e) => update('habitId', e.target.value)}
+            className={`${inputClass} mb-4`}
+            required
+          >
+            {options.map(h => <option key={h.id} value={h.id}>{h.label}</option>)}
+          </select>
+
+          {draft.type !== 'avoid' && (
+            <>
+              <label className={labelClass}>
+                {draft.type === 'days' ? 'Days with a log' : `Total${unit ? ` (${unit})` : ' logs'}`}
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={draft.target}
+                onChange={(e) => update('target', e.target.value)}
+                className={`${inputClass} mb-4`}
+                required
+              />
+            </>
+          )}
+
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div>
+              <label className={labelClass}>Starts</label>
+              <input
+                type="date"
+                min={todayKey}
+                value={draft.start}
+                onChange={(e) => update('start', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Ends</label>
+              <input
+                type="date"
+                min={draft.start || todayKey}
+                value={draft.end}
+                onChange={(e) => update('end', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 mb-1">
+            <div>
+              <label className={labelClass}>Bonus ({format.symbol})</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.bonus}
+                onChange={(e) => update('bonus', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Forfeit ({format.symbol})</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.forfeit}
+                onChange={(e) => update('forfeit', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-400 mb-4">The forfeit is charged if the challenge fails. 0 means no risk.</p>
+
+          <div className="flex gap-3 mt-2">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1" disabled={!draft.habitId}>Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function ChallengeManager({ challenges, progress, habits, todayKey, onChange, onGiveUp, onBack }) {
+  const format = useFormat();
+  const [editing, setEditing] = useState(null);
+
+  const openChallenges = challenges.filter(c => !c.resolvedAt && progress.has(c.id));
+  const finishedChallenges = challenges.filter(c => c.resolvedAt).sort((a, b) => b.resolvedAt.localeCompare(a.resolvedAt));
+  const habitsById = new Map(habits.map(h => [h.id, h]));
+  // Templates for habits that still exist, unless the same one is already running
+  const templates = CHALLENGE_TEMPLATES.filter(template =>
+    habitsById.has(template.habitId) && !habitsById.get(template.habitId).archived &&
+    !openChallenges.some(c => c.templateId === template.id)
+  );
+
+  const newDraft = () => ({
+    name: '',
+    type: 'count',
+    habitId: getChallengeHabits(habits, 'count')[0]?.id || null,
+    target: 5,
+    start: todayKey,
+    end: shiftDay(todayKey, 6),
+    bonus: 300,
+    forfeit: 0,
+  });
+
+  const saveChallenge = (challenge) => {
+    const exists = challenges.some(c => c.id === challenge.id);
+    onChange(exists ? challenges.map(c => c.id === challenge.id ? challenge : c) : [...challenges, challenge]);
+    setEditing(null);
+  };
+
+  const deleteChallenge = (challenge) => {
+    const note = challenge.resolvedAt ? ' Its payout stays in history.' : '';
+    if (!window.confirm(`Delete "${challenge.name}"?${note}`)) return;
+    onChange(challenges.filter(c => c.id !== challenge.id));
+  };
+
+  const giveUp = (challenge) => {
+    const note = challenge.forfeit > 0 ? ` The ${format.money(challenge.forfeit)} forfeit will be charged.` : '';
+    if (!window.confirm(`Give up "${challenge.name}"?${note}`)) return;
+    onGiveUp(challenge);
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Challenges</h2>
+        </div>
+        <button onClick={() => setEditing(newDraft())} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-400 px-2">
+        Progress comes from your logs. A challenge pays its bonus the moment it is won and charges its forfeit once it can no longer be won.
+      </p>
+
+      <div className="space-y-3">
+        {openChallenges.length === 0 && (
+          <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            No challenge running. Pick one below or tap + to make your own.
+          </div>
+        )}
+        {openChallenges.map(challenge => {
+          const upcoming = progress.get(challenge.id).status === 'upcoming';
+          return (
+            <ChallengeProgressCard
+              key={challenge.id}
+              challenge={challenge}
+              progress={progress.get(challenge.id)}
+              habit={habitsById.get(challenge.habitId)}
+              actions={
+                <div className="flex items-center text-slate-400 shrink-0">
+                  {upcoming ? (
+                    <>
+                      <button onClick={() => setEditing(challenge)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+                      <button onClick={() => deleteChallenge(challenge)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+                    </>
+                  ) : (
+                    <button onClick={() => giveUp(challenge)} className="p-1 hover:text-red-400" title="Give up"><Flag size={16} /></button>
+                  )}
+                </div>
+              }
+            />
+          );
+        })}
+      </div>
+
+      {templates.length > 0 && (
+        <div>
+          <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Start a challenge</h3>
+          <div className="space-y-2">
+            {templates.map(template => (
+              <div key={template.id} className="flex items-center justify-between gap-3 bg-surface p-3 rounded-xl border border-slate-100">
+                <div className="flex items-center gap-3 min-w-0">
+                  <div className="p-2 bg-slate-50 text-slate-500 rounded-lg"><HabitIcon name={habitsById.get(template.habitId).icon} size={16} /></div>
+                  <div className="min-w-0">
+                    <div className="text-sm font-semibold text-slate-700 truncate">{template.name}</div>
+                    <div className="text-xs text-slate-400">
+                      {template.duration} days · {format.signed(template.bonus)}
+                      {template.forfeit > 0 && ` · ${format.signed(-template.forfeit)} if failed`}
+                    </div>
+                  </div>
+                </div>
+                <Button variant="outline" className="text-xs px-3 py-1.5 shrink-0" onClick={() => onChange([...challenges, createFromTemplate(template, todayKey)])}>
+                  Start
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {finishedChallenges.length > 0 && (
+        <div>
+          <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Finished</h3>
+          <div className="space-y-2">
+            {finishedChallenges.map(challenge => {
+              const won = challenge.outcome === 'won';
+              const amount = won ? challenge.bonus : -challenge.forfeit;
+              return (
+                <div key={challenge.id} className="flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className={`p-2 rounded-lg ${won ? 'bg-amber-50 text-amber-500' : 'bg-slate-100 text-slate-400'}`}>
+                      {won ? <Trophy size={16} /> : <X size={16} />}
+                    </div>
+                    <div className="min-w-0">
+                      <div className="text-sm font-semibold text-slate-700 truncate">{challenge.name}</div>
+                      <div className="text-xs text-slate-400">
+                        {won ? 'Won' : 'Lost'}{amount !== 0 && ` · ${format.signed(amount)}`} · {format.date(challenge.resolvedAt)}
+                      </div>
+                    </div>
+                  </div>
+                  <button onClick={() => deleteChallenge(challenge)} className="p-1 text-slate-400 hover:text-red-400"><Trash2 size={16} /></button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <ChallengeForm
+          key={editing.id || 'new'}
+          initial={editing}
+          habits={habits}
+          todayKey={todayKey}
+          onSave={saveChallenge}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
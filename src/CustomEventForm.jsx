@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Button } from './ui';
+import { useFormat } from './format';
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+
+// One-off log with its own label and amount, for things that are not in the habit catalog.
+export default function CustomEventForm({ onSave, onCancel }) {
+  const format = useFormat();
+  const [draft, setDraft] = useState({ label: '', amount: 50, category: 'earning' });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">Custom Event</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          const magnitude = Math.abs(parseInt(draft.amount, 10) || 0);
+          onSave({
+            label: draft.label.trim(),
+            amount: draft.category === 'penalty' ? -magnitude : magnitude,
+            category: draft.category,
+          });
+        }}>
+          <input
+            value={draft.label}
+            onChange={(e) => update('label', e.target.value)}
+            autoFocus
+            placeholder="What happened?"
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <div className="flex gap-2 mb-4">
+            {[['earning', 'Earning'], ['penalty', 'Penalty']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => update('category', value)}
+                className={`flex-1 py-2 text-center border rounded-lg text-sm font-medium transition-all ${draft.category === value
+                  ? (value === 'earning' ? 'bg-teal-50 border-teal-500 text-teal-700' : 'bg-orange-50 border-orange-500 text-orange-700')
+                  : 'border-slate-200 text-slate-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Amount ({format.symbol})</label>
+          <input
+            type="number"
+            min="1"
+            value={draft.amount}
+            onChange={(e) => update('amount', e.target.value)}
+            className={`${inputClass} mb-6`}
+            required
+          />
+
+          <div className="flex gap-3">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">Log</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Download, Upload, FileText } from 'lucide-react';
+import { Button, Card } from './ui';
+import { createBackup, eventsToCsv, parseBackup, planImport, IMPORT_MODES } from './backup';
+import { downloadFile } from './files';
+import { useFormat } from './format';
+
+const IMPORT_MODE_LABELS = {
+  merge: 'Merge',
+  replace: 'Replace',
+};
+
+const ChangeRow = ({ label, change }) => (
+  <div className="flex justify-between text-sm">
+    <span className="text-slate-600">{label}</span>
+    <span className="font-medium text-slate-800">
+      <span className="text-green-600">+{change.added}</span>
+      {change.removed > 0 && <span className="text-orange-500"> −{change.removed}</span>}
+      {change.duplicates > 0 && <span className="text-slate-400"> ({change.duplicates} already here)</span>}
+    </span>
+  </div>
+);
+
+export default function DataScreen({ data, todayKey, onImport, onBack }) {
+  const format = useFormat();
+  // The parsed file waiting for confirmation, with its name for the preview header
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [error, setError] = useState(null);
+
+  const plan = pending ? planImport(data, pending.backup, mode) : null;
+
+  const exportJson = () => {
+    downloadFile(`delusional-rpg-${todayKey}.json`, JSON.stringify(createBackup(data), null, 2), 'application/json');
+  };
+
+  const exportCsv = () => {
+    downloadFile(`delusional-rpg-ledger-${todayKey}.csv`, eventsToCsv(data.events), 'text/csv');
+  };
+
+  const readFile = async (file) => {
+    setError(null);
+    setPending(null);
+    try {
+      setPending({ name: file.name, backup: parseBackup(await file.text()) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const confirmImport = () => {
+    if (mode === 'replace' && !window.confirm('Replace all current data with this backup? This cannot be undone.')) return;
+    onImport(plan.next, { needsSyncToken: plan.needsSyncToken });
+    setPending(null);
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex items-center gap-2 px-2">
+        <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+        <h2 className="text-xl font-bold text-slate-800">Backup & Restore</h2>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Export</h3>
+        <Card className="space-y-3">
+          <p className="text-xs text-slate-400">
+            {data.events.length} events and {data.tasks.length} missions, plus habits, rewards, goals, challenges, rules, reminders, achievements and settings.
+            Your sync token is left out; enter it again after restoring.
+          </p>
+          <Button variant="outline" className="w-full py-3" onClick={exportJson}>
+            <Download size={16} /> Full backup (JSON)
+          </Button>
+          <Button variant="ghost" className="w-full py-3" onClick={exportCsv}>
+            <FileText size={16} /> Event ledger (CSV)
+          </Button>
+        </Card>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Import</h3>
+        <Card className="space-y-4">
+          <label className="flex items-center justify-center gap-2 w-full py-3 border border-dashed border-slate-300 rounded-xl text-sm font-semibold text-slate-600 cursor-pointer hover:bg-slate-50">
+            <Upload size={16} /> Choose backup file
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) readFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+
+          {error && <div className="text-sm text-orange-600 bg-orange-50 rounded-lg p-3">{error}</div>}
+
+          {plan && (
+            <div className="space-y-4">
+              <div>
+                <div className="text-sm font-bold text-slate-800 truncate">{pending.name}</div>
+                <div className="text-xs text-slate-400">
+                  {pending.backup.exportedAt
+                    ? `Exported ${format.dateTime(pending.backup.exportedAt)}`
+                    : 'Legacy save data'}
+                  {pending.backup.invalidRecords > 0 && ` · ${pending.backup.invalidRecords} unreadable record(s) skipped`}
+                </div>
+              </div>
+
+              <div className="flex bg-slate-100 rounded-xl p-1">
+                {IMPORT_MODES.map(m => (
+                  <button
+                    key={m}
+                    onClick={() => setMode(m)}
+                    className={`flex-1 py-2 rounded-lg text-sm font-bold transition-all ${mode === m ? 'bg-surface text-slate-800 shadow-sm' : 'text-slate-400'}`}
+                  >
+                    {IMPORT_MODE_LABELS[m]}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400">
+                {mode === 'merge'
+                  ? 'Adds records you do not have yet. Anything with the same id is kept as it is here.'
+                  : 'Swaps everything on this device for the contents of the backup.'}
+              </p>
+
+              <div className="space-y-2 bg-slate-50 rounded-xl p-3">
+                <ChangeRow label="Events" change={plan.changes.events} />
+                <ChangeRow label="Missions" change={plan.changes.tasks} />
+                <div className="flex justify-between text-sm pt-2 border-t border-slate-200">
+                  <span className="text-slate-600">Balance</span>
+                  <span className="font-bold text-slate-800">{format.money(plan.balance.before)} → {format.money(plan.balance.after)}</span>
+                </div>
+              </div>
+
+              {plan.needsSyncToken && (
+                <p className="text-xs text-amber-700 bg-amber-50 rounded-lg p-3">
+                  This backup synced with {pending.backup.sync.space}. Sync stays off until you enter its token.
+                </p>
+              )}
+
+              <div className="flex gap-3">
+                <Button variant="ghost" className="flex-1 py-3" onClick={() => setPending(null)}>Cancel</Button>
+                <Button className="flex-1 py-3" onClick={confirmImport}>Import</Button>
+              </div>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Trash2, X } from 'lucide-react';
+import { Button } from './ui';
+import { getEventCategory } from './ledger';
+import { getDayKey, getDayTimestamp, getTimeOfDay } from './dates';
+import { formatQuantity } from './habits';
+import { describeEffects } from './inventory';
+import { useFormat } from './format';
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+// Amounts of savings withdrawals and transfers are tied to a jar, so they stay fixed
+const FIXED_AMOUNT_CATEGORIES = ['goal', 'transfer'];
+
+const FIELD_LABELS = { label: 'Label', amount: 'Amount', timestamp: 'Time', note: 'Note' };
+
+const MetaRow = ({ label, children }) => (
+  <div className="flex justify-between gap-3 text-xs py-1">
+    <span className="text-slate-400 shrink-0">{label}</span>
+    <span className="text-slate-600 text-right">{children}</span>
+  </div>
+);
+
+// Detail view of one ledger event with in-place corrections (see amendEvent in ledger.js).
+export default function EventSheet({ event, isVoided, preferences, onSave, onVoid, onClose }) {
+  const format = useFormat();
+  const category = getEventCategory(event);
+  const canEditAmount = !isVoided && !FIXED_AMOUNT_CATEGORIES.includes(category);
+  const sign = event.type === 'earn' ? 1 : -1;
+  const [draft, setDraft] = useState({
+    label: event.label,
+    amount: Math.abs(event.amount),
+    day: getDayKey(event.timestamp, preferences),
+    time: getTimeOfDay(event.timestamp, preferences.timeZone),
+    note: event.note || '',
+  });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const formatEditValue = (field, value) => {
+    if (value === null || value === '') return '—';
+    if (field === 'amount') return format.money(Math.abs(value));
+    if (field === 'timestamp') return format.dateTime(value);
+    return value;
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-end animate-fade-in">
+      <div className="bg-surface w-full rounded-t-3xl p-6 pb-10 animate-slide-up max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold text-slate-800">{isVoided ? 'Voided Entry' : 'Entry'}</h3>
+          <button onClick={onClose} className="p-2 bg-slate-100 rounded-full text-slate-500"><X size={18} /></button>
+        </div>
+
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          const changes = {
+            label: draft.label.trim() || event.label,
+            timestamp: getDayKey(event.timestamp, preferences) === draft.day && getTimeOfDay(event.timestamp, preferences.timeZone) === draft.time
+              ? event.timestamp
+              : getDayTimestamp(draft.day, draft.time, preferences),
+            note: draft.note.trim(),
+          };
+          if (canEditAmount) changes.amount = sign * Math.abs(parseInt(draft.amount, 10) || 0);
+          onSave(changes);
+        }}>
+          <fieldset disabled={isVoided} className="space-y-4">
+            <div>
+              <label className={labelClass}>Label</label>
+              <input value={draft.label} onChange={(e) => update('label', e.target.value)} className={inputClass} required />
+            </div>
+
+            {canEditAmount && (
+              <div>
+                <label className={labelClass}>{sign > 0 ? 'Earned' : 'Charged'} ({format.symbol})</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.amount}
+                  onChange={(e) => update('amount', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <div className="flex-1">
+                <label className={labelClass}>Day</label>
+                <input type="date" value={draft.day} onChange={(e) => update('day', e.target.value)} className={inputClass} required />
+              </div>
+              <div className="flex-1">
+                <label className={labelClass}>Time</label>
+                <input type="time" value={draft.time} onChange={(e) => update('time', e.target.value)} className={inputClass} required />
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Note</label>
+              <textarea
+                value={draft.note}
+                onChange={(e) => update('note', e.target.value)}
+                rows={2}
+                placeholder="Add context for future you..."
+                className={`${inputClass} resize-none`}
+              />
+            </div>
+          </fieldset>
+
+          <div className="mt-4 p-3 bg-slate-50 rounded-xl">
+            <MetaRow label="Type">{category}{event.system ? ' · automatic' : ''}</MetaRow>
+            {formatQuantity(event) && <MetaRow label="Quantity">{formatQuantity(event)}</MetaRow>}
+            {event.reason && <MetaRow label="Reason">{event.reason}</MetaRow>}
+            {event.effects && <MetaRow label="Upgrades">{describeEffects(event, format)}</MetaRow>}
+            {event.allocations && (
+              <MetaRow label="To savings">{format.money(event.allocations.reduce((sum, a) => sum + a.amount, 0))}</MetaRow>
+            )}
+            <MetaRow label="Logged">{format.dateTime(event.loggedAt || event.timestamp)}</MetaRow>
+            {(event.edits || []).map(edit => (
+              <MetaRow key={edit.at} label={`Edited ${format.date(edit.at)}`}>
+                {Object.entries(edit.changes).map(([field, [before, after]]) => (
+                  <div key={field}>{FIELD_LABELS[field]}: {formatEditValue(field, before)} → {formatEditValue(field, after)}</div>
+                ))}
+              </MetaRow>
+            ))}
+          </div>
+
+          {!isVoided && (
+            <div className="flex gap-3 mt-6">
+              <Button type="button" variant="ghost" className="py-3 px-4 text-red-500" onClick={onVoid}>
+                <Trash2 size={16} /> Void
+              </Button>
+              <Button type="submit" className="flex-1 py-3">Save changes</Button>
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,281 @@
+import { useEffect, useEffectEvent, useMemo, useRef } from 'react';
+import { loadData, saveChanges } from './storage';
+import { insertEvent, reconcileBalance } from './ledger';
+import { getTodayKey, shiftDay } from './dates';
+import { createFormatter, useFormat } from './format';
+import { diffProgression } from './progression';
+import { applyEffects } from './inventory';
+import { rollOverTasks } from './tasks';
+import { getDueReminders, showReminder } from './reminders';
+import { getPendingDays, evaluateRules } from './rules';
+import { getGoalEventId, getReachedGoals } from './goals';
+import { isSyncReady } from './sync';
+import { TIER_NAMES, findUnlocks } from './achievements';
+import { ACTIONS, PERSISTED_KEYS } from './store';
+import { useStore, useSelector } from './storeContext';
+import {
+  selectActiveEvents,
+  selectBalance,
+  selectJars,
+  selectProgression,
+  selectChallengeProgress,
+  selectAchievementValues
+} from './selectors';
+
+// Pending local changes are pushed this long after the last one; the server is
+// also polled on this interval for changes from other devices
+const SYNC_DEBOUNCE_MS = 3000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+// The background work of a profile: loading and saving, the day rollover (missions,
+// penalty rules, challenges), goal payouts, reminders, progression and achievement
+// toasts and sync.
+// It renders nothing and is the one component subscribed to the whole state, so
+// the screens only re-render for what they show.
+//
+// `announcedProgressRef` holds the last level and streak the user has seen; commands
+// that rewrite history clear it so the change is not announced as a level-up.
+export default function GameEffects({ profileId, syncClient, announcedProgressRef, onLog, onSettleChallenges, onToast, onGoalReached }) {
+  const store = useStore();
+  const format = useFormat();
+  const state = useSelector(current => current);
+  const { isLoaded, loadFailed, events, tasks, preferences, rules, rulesCheckedThrough, habits, inventory, goals, challenges, reminders, achievements, sync } = state;
+  // Last snapshot written to storage, used to persist only what changed
+  const persistedRef = useRef(null);
+
+  const todayKey = getTodayKey(preferences);
+  const balance = selectBalance(state);
+  const activeEvents = selectActiveEvents(state);
+  const jars = selectJars(state);
+  const challengeProgress = selectChallengeProgress(state, todayKey);
+  const progression = selectProgression(state, todayKey);
+  const currentLevel = progression.level.level;
+  const currentStreak = progression.streak.current;
+  const achievementValues = selectAchievementValues(state, todayKey);
+  const progressSummary = useMemo(
+    () => ({ level: currentLevel, streak: currentStreak }),
+    [currentLevel, currentStreak]
+  );
+
+  // Persistence (IndexedDB, see storage.js). `data` is null when loading failed; the
+  // profile then stays unloaded, so nothing is saved over it, until LOAD_RETRIED.
+  const finishLoading = useEffectEvent((data) => {
+    if (!data) {
+      store.dispatch({ type: ACTIONS.LOADED, data });
+      onToast('warning', 'Saved data could not be loaded');
+      return;
+    }
+    announcedProgressRef.current = data.progress || null;
+    persistedRef.current = data;
+    store.dispatch({ type: ACTIONS.LOADED, data });
+
+    const { drift } = reconcileBalance(data.balance, data.events);
+    if (drift !== 0) {
+      console.warn(`Stored balance was off by ${drift}; using the ledger total instead`);
+      onToast('warning', `Balance corrected by ${createFormatter(store.getState().preferences).signed(-drift)} to match history`);
+    }
+    if (data.droppedRecords > 0) {
+      onToast('warning', `Skipped ${data.droppedRecords} unreadable record(s)`);
+    }
+  });
+
+  useEffect(() => {
+    if (loadFailed) return;
+    let cancelled = false;
+
+    loadData(profileId)
+      .then(data => {
+        if (!cancelled) finishLoading(data);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Failed to load saved data', err);
+        finishLoading(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [profileId, loadFailed]);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    const snapshot = {
+      ...Object.fromEntries(PERSISTED_KEYS.map(key => [key, state[key]])),
+      balance,
+      progress: progressSummary,
+    };
+    syncClient.queueChanges(persistedRef.current, snapshot);
+    saveChanges(persistedRef.current, snapshot, profileId).catch(err => console.error('Failed to save data', err));
+    persistedRef.current = snapshot;
+  }, [profileId, syncClient, isLoaded, state, balance, progressSummary]);
+
+  // Missions: regenerate recurring instances and charge overdue penalties (once per task)
+  const rollOverMissions = useEffectEvent(() => {
+    const { tasks: rolled, penalties } = rollOverTasks(tasks, todayKey);
+    if (rolled === tasks && penalties.length === 0) return;
+
+    const penaltyEvents = new Map(penalties.map(task => [task.id, onLog({
+      id: `overdue-${task.id}`,
+      label: `Overdue: ${task.title}`,
+      amount: -task.overduePenalty,
+      icon: 'ShieldAlert',
+      category: 'penalty'
+    }).id]));
+    store.dispatch({
+      type: ACTIONS.TASKS_ROLLED_OVER,
+      tasks: rolled.map(t => penaltyEvents.has(t.id) ? { ...t, penaltyEventId: penaltyEvents.get(t.id) } : t),
+    });
+  });
+
+  useEffect(() => {
+    if (isLoaded) rollOverMissions();
+  }, [isLoaded, tasks, todayKey]);
+
+  // Penalty rules: every finished day is judged once, catching up after time away (see rules.js)
+  const applyRules = useEffectEvent(() => {
+    const yesterday = shiftDay(todayKey, -1);
+    if (!rulesCheckedThrough) {
+      store.dispatch({ type: ACTIONS.RULES_APPLIED, checkedThrough: yesterday, events: [] });
+      return;
+    }
+    const days = getPendingDays(rulesCheckedThrough, todayKey);
+    if (days.length === 0) return;
+
+    // Voided rule penalties keep their id, so a day the user forgave is not charged again
+    const existingIds = new Set(events.map(e => e.id));
+    const charged = [];
+    let active = activeEvents;
+    days.forEach(day => {
+      evaluateRules(rules, { day, events: active, habits, existingIds, dayOptions: preferences }).forEach(draft => {
+        const event = applyEffects(draft, { inventory, events: active, dayOptions: preferences });
+        active = insertEvent(active, event);
+        charged.push(event);
+      });
+    });
+
+    store.dispatch({ type: ACTIONS.RULES_APPLIED, checkedThrough: yesterday, events: charged });
+    if (charged.length === 0) return;
+    const total = charged.reduce((sum, e) => sum + e.amount, 0);
+    onToast('warning', `${format.signed(total)} — ${charged.length} penalty rule${charged.length === 1 ? '' : 's'} fired`);
+  });
+
+  useEffect(() => {
+    if (isLoaded) applyRules();
+  }, [isLoaded, todayKey]);
+
+  // Savings goals: a full jar is withdrawn and celebrated once
+  const completeGoals = useEffectEvent(() => {
+    const reached = getReachedGoals(goals, jars);
+    if (reached.length === 0) return;
+
+    reached.forEach(goal => onLog({
+      id: getGoalEventId(goal.id),
+      label: `Goal reached: ${goal.name}`,
+      amount: -jars.get(goal.id),
+      icon: 'ShoppingBag',
+      category: 'goal'
+    }));
+    store.dispatch({ type: ACTIONS.GOALS_COMPLETED, goalIds: reached.map(g => g.id), completedAt: new Date().toISOString() });
+    onGoalReached(reached[0]);
+  });
+
+  useEffect(() => {
+    if (isLoaded) completeGoals();
+  }, [isLoaded, jars]);
+
+  // Challenges: pay out as soon as one is won or can no longer be won
+  const resolveChallenges = useEffectEvent(() => {
+    const results = challenges
+      .filter(c => !c.resolvedAt)
+      .map(challenge => ({ challenge, outcome: challengeProgress.get(challenge.id)?.status }))
+      .filter(({ outcome }) => outcome === 'won' || outcome === 'lost');
+    if (results.length > 0) onSettleChallenges(results);
+  });
+
+  useEffect(() => {
+    if (isLoaded) resolveChallenges();
+  }, [isLoaded, challengeProgress]);
+
+  // Reminders: checked every minute while the app is open (see reminders.js)
+  const checkReminders = useEffectEvent(() => {
+    const due = getDueReminders(reminders, activeEvents, preferences, Date.now());
+    if (due.length === 0) return;
+
+    due.filter(({ skip }) => !skip).forEach(({ reminder }) => {
+      showReminder(reminder).catch(err => console.error('Failed to show reminder', err));
+    });
+    store.dispatch({
+      type: ACTIONS.REMINDERS_FIRED,
+      reminderIds: due.map(({ reminder }) => reminder.id),
+      firedAt: new Date().toISOString(),
+    });
+  });
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    checkReminders();
+    const timer = setInterval(checkReminders, 60 * 1000);
+    return () => clearInterval(timer);
+  }, [isLoaded]);
+
+  // Progression toasts (also fires on startup for streaks that lapsed while away)
+  const announceProgress = useEffectEvent(() => {
+    diffProgression(announcedProgressRef.current, progressSummary).forEach(change => {
+      if (change.type === 'level-up') {
+        onToast('success', `Level up! You reached Level ${change.level}`);
+      } else if (change.type === 'streak-broken') {
+        onToast('warning', `Streak broken after ${change.streak} day${change.streak === 1 ? '' : 's'}`);
+      }
+    });
+    announcedProgressRef.current = progressSummary;
+  });
+
+  useEffect(() => {
+    if (isLoaded) announceProgress();
+  }, [isLoaded, progressSummary]);
+
+  // Achievements: each tier is recorded once, with a toast (see achievements.js). The first
+  // check records what was already reached quietly, so updating does not flood toasts.
+  const checkAchievements = useEffectEvent(() => {
+    const unlocks = findUnlocks(achievementValues, achievements);
+    if (unlocks.length === 0 && achievements) return;
+
+    store.dispatch({
+      type: ACTIONS.ACHIEVEMENTS_UNLOCKED,
+      unlocks: unlocks.map(({ achievement, tier }) => ({ id: achievement.id, tier })),
+      unlockedAt: new Date().toISOString(),
+    });
+    if (!achievements || unlocks.length === 0) return;
+    if (unlocks.length === 1) {
+      const [{ achievement, tier }] = unlocks;
+      onToast('success', `Achievement unlocked: ${achievement.name} (${TIER_NAMES[tier - 1]})`);
+    } else {
+      onToast('success', `${unlocks.length} achievements unlocked`);
+    }
+  });
+
+  useEffect(() => {
+    if (isLoaded) checkAchievements();
+  }, [isLoaded, achievementValues]);
+
+  // Sync: pull on start, when the connection returns and periodically; push shortly after changes
+  const syncReady = isLoaded && isSyncReady(sync);
+
+  useEffect(() => {
+    if (!syncReady) return;
+    syncClient.syncNow();
+    const timer = setInterval(syncClient.syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener('online', syncClient.syncNow);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', syncClient.syncNow);
+    };
+  }, [syncReady, syncClient]);
+
+  useEffect(() => {
+    if (!syncReady || sync.queue.length === 0) return;
+    const timer = setTimeout(syncClient.syncNow, SYNC_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [syncReady, syncClient, sync.queue]);
+
+  return null;
+}
@@ -0,0 +1,273 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Pencil, Trash2, Plus, PiggyBank, ArrowDownToLine, ArrowUpFromLine, Trophy } from 'lucide-react';
+import { Button, Card } from './ui';
+import { normalizeGoal, getAllocatedPercent, describeDeadline } from './goals';
+import { useFormat } from './format';
+
+const EMPTY_DRAFT = { name: '', target: 1000, deadline: '', allocationPercent: 10 };
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+const GoalForm = ({ initial, available, todayKey, onSave, onCancel }) => {
+  const format = useFormat();
+  const [draft, setDraft] = useState({ ...initial, deadline: initial.deadline || '' });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const overAllocated = Number(draft.allocationPercent) > available;
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Goal' : 'New Goal'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          if (!overAllocated) onSave(normalizeGoal(draft));
+        }}>
+          <input
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+            autoFocus
+            placeholder="e.g. New running shoes"
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Target ({format.symbol})</label>
+          <input
+            type="number"
+            min="1"
+            value={draft.target}
+            onChange={(e) => update('target', e.target.value)}
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Deadline (optional)</label>
+          <input
+            type="date"
+            min={todayKey}
+            value={draft.deadline}
+            onChange={(e) => update('deadline', e.target.value)}
+            className={`${inputClass} mb-4`}
+          />
+
+          <label className={labelClass}>Auto-save from every earning (%)</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={draft.allocationPercent}
+            onChange={(e) => update('allocationPercent', e.target.value)}
+            className={`${inputClass} mb-1`}
+          />
+          <p className={`text-xs mb-4 ${overAllocated ? 'text-orange-600' : 'text-slate-400'}`}>
+            {overAllocated
+              ? `Other goals already take ${100 - available}%. At most ${available}% is left.`
+              : '0 means you only move money in by hand.'}
+          </p>
+
+          <div className="flex gap-3 mt-2">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1" disabled={overAllocated}>Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Moves money between the spendable balance and one jar; `direction` is 1 (in) or -1 (out).
+const TransferSheet = ({ goal, direction, max, onConfirm, onCancel }) => {
+  const format = useFormat();
+  const [amount, setAmount] = useState(max);
+  const value = parseInt(amount, 10) || 0;
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl">
+        <h3 className="text-lg font-bold text-slate-800 mb-1">{direction > 0 ? 'Add to' : 'Take from'} {goal.name}</h3>
+        <p className="text-xs text-slate-400 mb-4">
+          {direction > 0 ? `Up to ${format.money(max)} from your spendable balance.` : `${format.money(max)} in this jar.`}
+        </p>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          if (value > 0 && value <= max) onConfirm(value * direction);
+        }}>
+          <div className="relative mb-4">
+            <span className="absolute left-3 top-3 text-slate-400">{format.symbol}</span>
+            <input
+              type="number"
+              min="1"
+              max={max}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              autoFocus
+              className={`${inputClass} pl-8`}
+            />
+          </div>
+          <div className="flex gap-3">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1" disabled={value <= 0 || value > max}>
+              {direction > 0 ? 'Lock it away' : 'Release'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function GoalManager({ goals, jars, spendable, locked, todayKey, onChange, onTransfer, onDelete, onBack }) {
+  const format = useFormat();
+  const [editing, setEditing] = useState(null);
+  // `{ goal, direction }` while a manual transfer is being entered
+  const [transfer, setTransfer] = useState(null);
+
+  const openGoals = goals.filter(g => !g.completedAt);
+  const completedGoals = goals.filter(g => g.completedAt);
+
+  const saveGoal = (goal) => {
+    const exists = goals.some(g => g.id === goal.id);
+    onChange(exists ? goals.map(g => g.id === goal.id ? goal : g) : [...goals, goal]);
+    setEditing(null);
+  };
+
+  const deleteGoal = (goal) => {
+    const saved = jars.get(goal.id) || 0;
+    const note = saved > 0 ? ` The ${format.money(saved)} inside goes back to your spendable balance.` : '';
+    if (!window.confirm(`Delete "${goal.name}"?${note}`)) return;
+    onDelete(goal);
+  };
+
+  const getTransferMax = (goal, direction) => {
+    const saved = Math.max(jars.get(goal.id) || 0, 0);
+    return direction > 0 ? Math.max(Math.min(spendable, goal.target - saved), 0) : saved;
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Savings Goals</h2>
+        </div>
+        <button onClick={() => setEditing(EMPTY_DRAFT)} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <Card className="text-center">
+          <div className="text-2xl font-bold text-slate-800">{format.money(spendable)}</div>
+          <div className="text-xs text-slate-400 uppercase tracking-wide">Spendable</div>
+        </Card>
+        <Card className="text-center">
+          <div className="text-2xl font-bold text-teal-600">{format.money(locked)}</div>
+          <div className="text-xs text-slate-400 uppercase tracking-wide">Locked in jars</div>
+        </Card>
+      </div>
+
+      <div className="space-y-3">
+        {openGoals.length === 0 && (
+          <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            Nothing to save toward yet. Tap + to start a jar.
+          </div>
+        )}
+        {openGoals.map(goal => {
+          const saved = Math.max(jars.get(goal.id) || 0, 0);
+          const deadline = describeDeadline(goal, saved, todayKey, format);
+          return (
+            <Card key={goal.id} className="space-y-3">
+              <div className="flex justify-between items-start gap-3">
+                <div className="flex gap-3 items-center min-w-0">
+                  <div className="p-2 bg-teal-50 text-teal-600 rounded-lg"><PiggyBank size={18} /></div>
+                  <div className="min-w-0">
+                    <div className="font-bold text-slate-800 text-sm truncate">{goal.name}</div>
+                    <div className="text-xs text-slate-500">
+                      {goal.allocationPercent > 0 ? `${goal.allocationPercent}% of earnings` : 'Manual only'}
+                      {deadline && <span className={deadline === 'Past deadline' ? 'text-orange-500' : ''}> · {deadline}</span>}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center text-slate-400 shrink-0">
+                  <button onClick={() => setEditing(goal)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+                  <button onClick={() => deleteGoal(goal)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+                </div>
+              </div>
+
+              <div>
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="font-bold text-slate-700">{format.money(saved)} <span className="font-normal text-slate-400">of {format.money(goal.target)}</span></span>
+                  <span className="text-slate-400">{Math.floor((saved / goal.target) * 100)}%</span>
+                </div>
+                <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-teal-500 rounded-full transition-all" style={{ width: `${Math.min(saved / goal.target, 1) * 100}%` }}></div>
+                </div>
+              </div>
+
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  className="flex-1 text-xs py-2"
+                  disabled={getTransferMax(goal, 1) <= 0}
+                  onClick={() => setTransfer({ goal, direction: 1 })}
+                >
+                  <ArrowDownToLine size={14} /> Add money
+                </Button>
+                <Button
+                  variant="ghost"
+                  className="flex-1 text-xs py-2"
+                  disabled={saved <= 0}
+                  onClick={() => setTransfer({ goal, direction: -1 })}
+                >
+                  <ArrowUpFromLine size={14} /> Take out
+                </Button>
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+
+      {completedGoals.length > 0 && (
+        <div>
+          <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Reached</h3>
+          <div className="space-y-2">
+            {completedGoals.map(goal => (
+              <div key={goal.id} className="flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100">
+                <div className="flex items-center gap-3 min-w-0">
+                  <div className="p-2 bg-amber-50 text-amber-500 rounded-lg"><Trophy size={16} /></div>
+                  <div className="min-w-0">
+                    <div className="text-sm font-semibold text-slate-700 truncate">{goal.name}</div>
+                    <div className="text-xs text-slate-400">{format.money(goal.target)} · {format.date(goal.completedAt)}</div>
+                  </div>
+                </div>
+                <button onClick={() => deleteGoal(goal)} className="p-1 text-slate-400 hover:text-red-400"><Trash2 size={16} /></button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <GoalForm
+          key={editing.id || 'new'}
+          initial={editing}
+          available={100 - getAllocatedPercent(goals, editing.id)}
+          todayKey={todayKey}
+          onSave={saveGoal}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {transfer && (
+        <TransferSheet
+          goal={transfer.goal}
+          direction={transfer.direction}
+          max={getTransferMax(transfer.goal, transfer.direction)}
+          onConfirm={(amount) => { onTransfer(transfer.goal, amount); setTransfer(null); }}
+          onCancel={() => setTransfer(null)}
+        />
+      )}
+    </div>
+  );
+}
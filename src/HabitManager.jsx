@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import {
+  ChevronLeft,
+  ChevronUp,
+  ChevronDown,
+  Pencil,
+  Archive,
+  RotateCcw,
+  Trash2,
+  Plus,
+  Link2,
+  Check
+} from 'lucide-react';
+import { Button, HabitIcon } from './ui';
+import { HABIT_ICONS, normalizeHabit, moveHabit } from './habits';
+import { useFormat } from './format';
+import { BASE_PATH, buildLogPath } from './routes';
+
+const EMPTY_DRAFT = { label: '', amount: 50, unit: '', dailyCap: null, icon: 'Zap', category: 'earning' };
+
+const HabitForm = ({ initial, onSave, onCancel }) => {
+  const format = useFormat();
+  const [draft, setDraft] = useState({ ...initial, amount: Math.abs(initial.amount), dailyCap: initial.dailyCap || '' });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Habit' : 'New Habit'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          onSave(normalizeHabit(draft));
+        }}>
+          <input
+            value={draft.label}
+            onChange={(e) => update('label', e.target.value)}
+            autoFocus
+            placeholder="Habit label..."
+            className="w-full mb-4 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500"
+            required
+          />
+
+          <div className="flex gap-2 mb-4">
+            {[['earning', 'Earning'], ['penalty', 'Penalty']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => update('category', value)}
+                className={`flex-1 py-2 text-center border rounded-lg text-sm font-medium transition-all ${draft.category === value
+                  ? (value === 'earning' ? 'bg-teal-50 border-teal-500 text-teal-700' : 'bg-orange-50 border-orange-500 text-orange-700')
+                  : 'border-slate-200 text-slate-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <div className="flex-1">
+              <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Amount ({format.symbol}{draft.unit ? ` per ${draft.unit}` : ''})</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.amount}
+                onChange={(e) => update('amount', e.target.value)}
+                className="w-full mb-4 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500"
+                required
+              />
+            </div>
+            <div className="w-24">
+              <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Unit</label>
+              <input
+                value={draft.unit}
+                onChange={(e) => update('unit', e.target.value)}
+                placeholder="L, hr..."
+                maxLength={8}
+                className="w-full mb-4 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500"
+              />
+            </div>
+          </div>
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Daily cap ({draft.unit || 'logs'}, empty = none)</label>
+          <input
+            type="number"
+            min="1"
+            value={draft.dailyCap}
+            onChange={(e) => update('dailyCap', e.target.value)}
+            className="w-full mb-4 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500"
+          />
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Icon</label>
+          <div className="grid grid-cols-7 gap-2 mb-6">
+            {Object.keys(HABIT_ICONS).map(name => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => update('icon', name)}
+                className={`aspect-square rounded-lg flex items-center justify-center border ${draft.icon === name ? 'border-teal-500 bg-teal-50 text-teal-600' : 'border-slate-100 text-slate-500'}`}
+              >
+                <HabitIcon name={name} />
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-3">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function HabitManager({ habits, onChange, onBack }) {
+  const format = useFormat();
+  const [editing, setEditing] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const saveHabit = (habit) => {
+    const exists = habits.some(h => h.id === habit.id);
+    onChange(exists ? habits.map(h => h.id === habit.id ? habit : h) : [...habits, habit]);
+    setEditing(null);
+  };
+
+  const toggleArchive = (habitId) => {
+    onChange(habits.map(h => h.id === habitId ? { ...h, archived: !h.archived } : h));
+  };
+
+  const deleteHabit = (habit) => {
+    if (!window.confirm(`Delete "${habit.label}"? Past logs will keep their history.`)) return;
+    onChange(habits.filter(h => h.id !== habit.id));
+  };
+
+  // A link that logs the habit in one tap, e.g. from a home-screen shortcut
+  const copyLogLink = async (habit) => {
+    const url = new URL(buildLogPath(habit.id, BASE_PATH), window.location.origin).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedId(habit.id);
+    } catch {
+      window.prompt('Copy this quick-log link', url);
+    }
+  };
+
+  const renderRow = (habit) => (
+    <div key={habit.id} className={`flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100 ${habit.archived ? 'opacity-60' : ''}`}>
+      <div className="flex items-center gap-3 min-w-0">
+        <div className={`p-2 rounded-lg ${habit.category === 'earning' ? 'text-teal-600 bg-teal-50' : 'text-orange-500 bg-orange-50'}`}>
+          <HabitIcon name={habit.icon} />
+        </div>
+        <div className="min-w-0">
+          <div className="text-sm font-semibold text-slate-700 truncate">{habit.label}</div>
+          <div className={`text-xs font-bold ${habit.amount >= 0 ? 'text-green-600' : 'text-orange-600'}`}>
+            {format.signed(habit.amount)}{habit.unit && `/${habit.unit}`}
+            {habit.dailyCap && <span className="font-normal text-slate-400"> · max {habit.dailyCap}{habit.unit && ` ${habit.unit}`}/day</span>}
+          </div>
+        </div>
+      </div>
+      <div className="flex items-center text-slate-400">
+        {!habit.archived && (
+          <>
+            <button onClick={() => onChange(moveHabit(habits, habit.id, -1))} className="p-1 hover:text-slate-600"><ChevronUp size={16} /></button>
+            <button onClick={() => onChange(moveHabit(habits, habit.id, 1))} className="p-1 hover:text-slate-600"><ChevronDown size={16} /></button>
+            <button onClick={() => copyLogLink(habit)} className="p-1 hover:text-teal-600" title="Copy quick-log link">
+              {copiedId === habit.id ? <Check size={16} className="text-teal-600" /> : <Link2 size={16} />}
+            </button>
+            <button onClick={() => setEditing(habit)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+          </>
+        )}
+        <button onClick={() => toggleArchive(habit.id)} className="p-1 hover:text-slate-600">
+          {habit.archived ? <RotateCcw size={16} /> : <Archive size={16} />}
+        </button>
+        <button onClick={() => deleteHabit(habit)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+      </div>
+    </div>
+  );
+
+  const sections = [
+    { title: 'Earnings', className: 'text-teal-600', items: habits.filter(h => !h.archived && h.category === 'earning') },
+    { title: 'Penalties', className: 'text-orange-500', items: habits.filter(h => !h.archived && h.category === 'penalty') },
+    { title: 'Archived', className: 'text-slate-400', items: habits.filter(h => h.archived) },
+  ];
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Habits</h2>
+        </div>
+        <button onClick={() => setEditing(EMPTY_DRAFT)} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      {sections.map(section => section.items.length > 0 && (
+        <div key={section.title}>
+          <h4 className={`text-xs font-bold uppercase mb-3 px-2 ${section.className}`}>{section.title}</h4>
+          <div className="space-y-2">
+            {section.items.map(renderRow)}
+          </div>
+        </div>
+      ))}
+
+      {editing && (
+        <HabitForm
+          key={editing.id || 'new'}
+          initial={editing}
+          onSave={saveHabit}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Search, SlidersHorizontal, PiggyBank, StickyNote } from 'lucide-react';
+import { formatQuantity } from './habits';
+import { HISTORY_TYPES, EMPTY_FILTERS, countActiveFilters, filterEvents, groupByDay, getDisplayAmount } from './history';
+import EventSheet from './EventSheet';
+import { useFormat } from './format';
+
+// Rows rendered per page; more are appended as the end of the list scrolls into view
+const PAGE_SIZE = 60;
+
+const inputClass = "w-full p-2 bg-surface border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-teal-500";
+
+const HistoryRow = ({ event, isVoided, onOpen }) => {
+  const format = useFormat();
+  const amount = getDisplayAmount(event);
+  const color = event.type === 'transfer' ? 'text-teal-600' : event.type === 'earn' ? 'text-green-600' : 'text-orange-600';
+  return (
+    <button
+      onClick={onOpen}
+      className={`w-full flex items-center justify-between bg-surface px-4 py-3 text-left border-b border-slate-50 last:border-0 ${isVoided ? 'opacity-50' : ''}`}
+    >
+      <div className="min-w-0">
+        <div className={`text-sm font-medium text-slate-800 truncate ${isVoided ? 'line-through' : ''}`}>
+          {event.label}
+          {formatQuantity(event) && <span className="text-slate-400 font-normal"> · {formatQuantity(event)}</span>}
+        </div>
+        <div className="flex items-center gap-1 text-xs text-slate-400">
+          {format.time(event.timestamp)}
+          {event.system && <span className="px-1 rounded bg-slate-100 text-[10px] font-bold uppercase">Auto</span>}
+          {event.edits && <span>· edited</span>}
+          {event.note && <StickyNote size={11} />}
+        </div>
+      </div>
+      <span className={`font-bold text-sm shrink-0 flex items-center gap-1 ${color} ${isVoided ? 'line-through' : ''}`}>
+        {event.type === 'transfer' && <PiggyBank size={13} />}
+        {format.signed(amount)}
+      </span>
+    </button>
+  );
+};
+
+// Keyed by the filters, so a new search starts again from the first page.
+const HistoryList = ({ events, voidedIds, preferences, todayKey, onOpen }) => {
+  const format = useFormat();
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const sentinelRef = useRef(null);
+  const hasMore = limit < events.length;
+
+  const groups = useMemo(
+    () => groupByDay(events.slice(0, limit), voidedIds, preferences),
+    [events, limit, voidedIds, preferences]
+  );
+  // Subtotals cover the whole day even when only part of it is rendered so far
+  const subtotals = useMemo(
+    () => new Map(groupByDay(events, voidedIds, preferences).map(g => [g.day, g.subtotal])),
+    [events, voidedIds, preferences]
+  );
+
+  useEffect(() => {
+    if (!hasMore || !sentinelRef.current || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) setLimit(prev => prev + PAGE_SIZE);
+    }, { rootMargin: '400px' });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, limit]);
+
+  if (events.length === 0) {
+    return (
+      <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+        Nothing matches these filters.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {groups.map(group => {
+        const subtotal = subtotals.get(group.day);
+        return (
+          <div key={group.day}>
+            <div className="flex justify-between items-center px-2 mb-2">
+              <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{format.dayLabel(group.day, todayKey)}</h3>
+              <span className={`text-xs font-bold ${subtotal >= 0 ? 'text-green-600' : 'text-orange-600'}`}>{format.signed(subtotal)}</span>
+            </div>
+            <div className="bg-surface rounded-xl border border-slate-100 overflow-hidden">
+              {group.events.map(event => (
+                <HistoryRow
+                  key={event.id}
+                  event={event}
+                  isVoided={voidedIds.has(event.id)}
+                  onOpen={() => onOpen(event)}
+                />
+              ))}
+            </div>
+          </div>
+        );
+      })}
+      {hasMore && (
+        <button ref={sentinelRef} onClick={() => setLimit(prev => prev + PAGE_SIZE)} className="w-full py-3 text-xs font-medium text-teal-600">
+          Showing {limit} of {events.length} · load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default function HistoryScreen({ title, header, events, voidedIds, habits, preferences, todayKey, initialType = 'all', openEventId, onOpenEvent, onEdit, onVoid }) {
+  const format = useFormat();
+  const [filters, setFilters] = useState({ ...EMPTY_FILTERS, type: initialType });
+  const [showFilters, setShowFilters] = useState(false);
+  const update = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const results = useMemo(() => filterEvents(events, filters, preferences), [events, filters, preferences]);
+  const totals = useMemo(() => results.reduce((sum, event) => {
+    if (voidedIds.has(event.id)) return sum;
+    return {
+      in: sum.in + Math.max(event.amount, 0),
+      out: sum.out + Math.max(-event.amount, 0),
+    };
+  }, { in: 0, out: 0 }), [results, voidedIds]);
+  const activeFilters = countActiveFilters(filters);
+  // Looked up by id so the sheet shows the latest version after a save
+  const openEvent = openEventId && events.find(e => e.id === openEventId);
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-4">
+      {header}
+      <div className="px-2">
+        <h2 className="text-xl font-bold text-slate-800">{title}</h2>
+        <p className="text-xs text-slate-400">
+          {results.length} entries · <span className="text-green-600">{format.signed(totals.in)}</span> · <span className="text-orange-600">{format.signed(-totals.out)}</span>
+        </p>
+      </div>
+
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-2.5 text-slate-400" />
+          <input
+            value={filters.query}
+            onChange={(e) => update('query', e.target.value)}
+            placeholder="Search labels and notes..."
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <button
+          onClick={() => setShowFilters(prev => !prev)}
+          className={`relative p-2 rounded-lg border ${showFilters || activeFilters > 0 ? 'bg-teal-50 border-teal-500 text-teal-700' : 'bg-surface border-slate-200 text-slate-500'}`}
+        >
+          <SlidersHorizontal size={18} />
+          {activeFilters > 0 && (
+            <span className="absolute -top-1.5 -right-1.5 w-4 h-4 rounded-full bg-primary text-white text-[10px] font-bold flex items-center justify-center">{activeFilters}</span>
+          )}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="bg-slate-50 rounded-xl p-3 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {HISTORY_TYPES.map(type => (
+              <button
+                key={type.id}
+                onClick={() => update('type', type.id)}
+                className={`px-3 py-1 rounded-full text-xs font-bold border ${filters.type === type.id ? 'bg-teal-50 border-teal-500 text-teal-700' : 'bg-surface border-slate-200 text-slate-500'}`}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+          <select value={filters.habitId} onChange={(e) => update('habitId', e.target.value)} className={inputClass}>
+            <option value="">Any habit</option>
+            {habits.map(h => <option key={h.id} value={h.id}>{h.label}{h.archived ? ' (archived)' : ''}</option>)}
+          </select>
+          <div className="flex items-center gap-2 text-xs text-slate-500">
+            <input type="date" value={filters.from} max={filters.to || todayKey} onChange={(e) => update('from', e.target.value)} className={inputClass} />
+            <span>to</span>
+            <input type="date" value={filters.to} min={filters.from} max={todayKey} onChange={(e) => update('to', e.target.value)} className={inputClass} />
+          </div>
+          <div className="flex items-center gap-2 text-xs text-slate-500">
+            <input type="number" min="0" value={filters.minAmount} onChange={(e) => update('minAmount', e.target.value)} placeholder={`Min ${format.symbol}`} className={inputClass} />
+            <span>to</span>
+            <input type="number" min="0" value={filters.maxAmount} onChange={(e) => update('maxAmount', e.target.value)} placeholder={`Max ${format.symbol}`} className={inputClass} />
+          </div>
+          {activeFilters > 0 && (
+            <button onClick={() => setFilters({ ...EMPTY_FILTERS, query: filters.query })} className="text-xs font-medium text-teal-600">
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      <HistoryList
+        key={JSON.stringify(filters)}
+        events={results}
+        voidedIds={voidedIds}
+        preferences={preferences}
+        todayKey={todayKey}
+        onOpen={(event) => onOpenEvent(event.id)}
+      />
+
+      {openEvent && (
+        <EventSheet
+          key={openEvent.id}
+          event={openEvent}
+          isVoided={voidedIds.has(openEvent.id)}
+          preferences={preferences}
+          onSave={(changes) => { onEdit(openEvent, changes); onOpenEvent(null); }}
+          onVoid={() => { onVoid(openEvent); onOpenEvent(null); }}
+          onClose={() => onOpenEvent(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React from 'react';
+import {
+  TrendingUp,
+  TrendingDown,
+  Trash2,
+  ChevronLeft,
+  ChevronRight,
+  ShoppingBag,
+  PiggyBank,
+  NotebookPen,
+  Gavel,
+  X
+} from 'lucide-react';
+import { Card, HabitIcon } from './ui';
+import { getActiveHabits, formatQuantity } from './habits';
+import { isReversal } from './ledger';
+import { getDayKey, shiftDay } from './dates';
+import { getActiveEffects, describeEffects } from './inventory';
+import { REVIEW_PERIODS, getReviewId, getLatestPeriod, formatPeriodLabel } from './reviews';
+import { ChallengeProgressCard } from './ChallengeManager';
+import { useFormat } from './format';
+import { useSelector } from './storeContext';
+import {
+  selectLedger,
+  selectVoidedIds,
+  selectDailyDelta,
+  selectLocked,
+  selectSpendable,
+  selectChallengeProgress
+} from './selectors';
+
+// Balance, the day's activity and quick logging for `viewDay` (today unless a past day is pinned).
+export default function HomeScreen({ viewDay, todayKey, onShowDay, onNavigate, onLog, onUndo, onOpenReview, onDismissReview }) {
+  const format = useFormat();
+  const events = useSelector(state => state.events);
+  const habits = useSelector(state => state.habits);
+  const preferences = useSelector(state => state.preferences);
+  const inventory = useSelector(state => state.inventory);
+  const reviewNotes = useSelector(state => state.reviewNotes);
+  const challenges = useSelector(state => state.challenges);
+  const ledger = useSelector(selectLedger);
+  const voidedIds = useSelector(selectVoidedIds);
+  const dailyDelta = useSelector(selectDailyDelta, viewDay);
+  const locked = useSelector(selectLocked);
+  const spendable = useSelector(selectSpendable);
+  const challengeProgress = useSelector(selectChallengeProgress, todayKey);
+
+  const isViewingToday = viewDay === todayKey;
+  const dayEvents = events.filter(e => !isReversal(e) && getDayKey(e.timestamp, preferences) === viewDay);
+  const firedRules = dayEvents.filter(e => e.ruleId && !voidedIds.has(e.id));
+  // The newest finished week or month whose review has not been opened yet
+  const firstDay = [...ledger.days.keys()].sort()[0];
+  const pendingReview = REVIEW_PERIODS
+    .map(period => ({ period, key: getLatestPeriod(period, todayKey, firstDay) }))
+    .filter(({ period, key }) => key && !reviewNotes[getReviewId(period, key)])
+    .pop();
+  const dayLabel = format.dayLabel(viewDay, todayKey);
+  const activeEffects = getActiveEffects(inventory);
+  const activeChallenges = challenges.filter(c => challengeProgress.get(c.id)?.status === 'active');
+  const earningHabits = getActiveHabits(habits, 'earning');
+
+  return (
+    <div className="space-y-6 pb-24 animate-fade-in">
+      {/* Header / Balance */}
+      <div className="pt-4 px-2">
+        <div className="flex justify-between items-center mb-4 text-slate-400 text-sm font-medium">
+          <button onClick={() => onShowDay(shiftDay(viewDay, -1))} className="p-2 hover:bg-slate-100 rounded-full"><ChevronLeft size={20} /></button>
+          <button onClick={() => onShowDay(todayKey)} className="uppercase">{dayLabel}</button>
+          <button
+            onClick={() => onShowDay(shiftDay(viewDay, 1))}
+            disabled={isViewingToday}
+            className="p-2 hover:bg-slate-100 rounded-full disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <ChevronRight size={20} />
+          </button>
+        </div>
+
+        <Card className="text-center py-8 relative overflow-hidden border-teal-100/50">
+           <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-transparent via-teal-400 to-transparent opacity-50"></div>
+           <div className="text-slate-500 text-sm font-medium tracking-widest uppercase mb-2">{locked > 0 ? 'Spendable' : 'Current Balance'}</div>
+           <div className="text-5xl font-bold text-slate-800 tracking-tight mb-2 transition-all duration-300">
+             {format.money(spendable)}
+           </div>
+           {locked > 0 && (
+             <button onClick={() => onNavigate({ tab: 'goals' })} className="flex items-center justify-center gap-1 mx-auto mb-3 text-xs font-medium text-teal-700">
+               <PiggyBank size={14} /> {format.money(locked)} locked in savings
+             </button>
+           )}
+           <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${dailyDelta >= 0 ? 'bg-green-100 text-green-700' : 'bg-orange-100 text-orange-700'}`}>
+             {dailyDelta >= 0 ? <TrendingUp size={14} className="mr-1"/> : <TrendingDown size={14} className="mr-1"/>}
+             {dayLabel}: {format.signed(dailyDelta)}
+           </div>
+        </Card>
+      </div>
+
+      {/* Active Effects */}
+      {activeEffects.length > 0 && (
+        <div className="flex flex-wrap gap-2 px-2 -mt-2">
+          {activeEffects.map(effect => (
+            <span key={effect.item.id} className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-purple-50 text-purple-700 text-xs font-medium border border-purple-100">
+              <ShoppingBag size={12} />
+              {effect.item.name}
+              <span className="text-purple-400">
+                {effect.quantity ? `×${effect.quantity}` : `${effect.daysLeft}d left`}
+              </span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Review Ready */}
+      {isViewingToday && pendingReview && (
+        <div className="flex items-center gap-3 bg-teal-50 border border-teal-100 rounded-xl p-3">
+          <div className="p-2 bg-surface text-teal-600 rounded-lg"><NotebookPen size={18} /></div>
+          <button
+            onClick={() => onOpenReview(pendingReview.period, getReviewId(pendingReview.period, pendingReview.key))}
+            className="flex-1 text-left"
+          >
+            <div className="text-sm font-bold text-slate-800">Your {pendingReview.period}ly review is ready</div>
+            <div className="text-xs text-slate-500">{formatPeriodLabel(pendingReview.period, pendingReview.key, format)} · tap to reflect</div>
+          </button>
+          <button
+            onClick={() => onDismissReview(getReviewId(pendingReview.period, pendingReview.key))}
+            className="p-1 text-slate-400 hover:text-slate-600"
+          >
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Rule Summary */}
+      {firedRules.length > 0 && (
+        <Card className="border-orange-100 bg-orange-50/40">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-xs font-bold text-orange-600 uppercase tracking-wider flex items-center gap-1">
+              <Gavel size={12} /> Rules fired
+            </h3>
+            <span className="text-sm font-bold text-orange-600">
+              {format.signed(firedRules.reduce((sum, e) => sum + e.amount, 0))}
+            </span>
+          </div>
+          <div className="space-y-1">
+            {firedRules.map(event => (
+              <div key={event.id} className="flex justify-between gap-3 text-xs">
+                <span className="text-slate-600">{event.reason}</span>
+                <span className="text-orange-600 font-medium shrink-0">{format.signed(event.amount)}</span>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {/* Challenges */}
+      {isViewingToday && activeChallenges.length > 0 && (
+        <div>
+          <div className="flex justify-between items-end px-2 mb-3">
+            <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">Challenges</h3>
+            <button onClick={() => onNavigate({ tab: 'challenges' })} className="text-xs text-teal-600 font-medium">Manage</button>
+          </div>
+          <div className="space-y-3">
+            {activeChallenges.map(challenge => (
+              <ChallengeProgressCard
+                key={challenge.id}
+                challenge={challenge}
+                progress={challengeProgress.get(challenge.id)}
+                habit={habits.find(h => h.id === challenge.habitId)}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Quick Actions */}
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Quick Log</h3>
+        <div className="grid grid-cols-4 gap-3">
+          {earningHabits.slice(0, 4).map(habit => (
+            <button
+              key={habit.id}
+              onClick={() => onLog(habit)}
+              className="flex flex-col items-center justify-center bg-surface p-3 rounded-2xl shadow-sm border border-slate-100 active:scale-95 transition-all"
+            >
+              <div className="w-10 h-10 rounded-full bg-teal-50 text-teal-600 flex items-center justify-center mb-2">
+                <HabitIcon name={habit.icon} />
+              </div>
+              <span className="text-[10px] font-semibold text-slate-600 text-center leading-tight">{habit.label}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Recent Feed */}
+      <div>
+         <div className="flex justify-between items-end px-2 mb-3">
+          <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{isViewingToday ? 'Recent Activity' : `Activity · ${dayLabel}`}</h3>
+          <button onClick={() => onNavigate({ tab: 'history' })} className="text-xs text-teal-600 font-medium">View All</button>
+         </div>
+
+         <div className="space-y-3">
+           {dayEvents.length === 0 ? (
+             <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+               {isViewingToday ? 'No logs today. Start grinding.' : 'Nothing logged on this day.'}
+             </div>
+           ) : (
+             dayEvents.map((event) => {
+               const isVoided = voidedIds.has(event.id);
+               return (
+                 <div key={event.id} className={`flex items-center justify-between bg-surface p-4 rounded-xl shadow-sm border border-slate-50 ${isVoided ? 'opacity-50' : ''}`}>
+                   <div className="flex items-center gap-3">
+                     <div className={`w-2 h-10 rounded-full ${isVoided ? 'bg-slate-300' : event.type === 'earn' ? 'bg-green-500' : event.type === 'transfer' ? 'bg-teal-400' : 'bg-orange-500'}`}></div>
+                     <div>
+                       <div className={`text-slate-800 font-medium text-sm ${isVoided ? 'line-through' : ''}`}>
+                         {event.label}
+                         {formatQuantity(event) && <span className="text-slate-400 font-normal"> · {formatQuantity(event)}</span>}
+                         {event.system && <span className="ml-1.5 px-1.5 py-0.5 rounded bg-slate-100 text-slate-500 text-[10px] font-bold uppercase">Auto</span>}
+                       </div>
+                       <div className="text-slate-400 text-xs">{format.time(event.timestamp)}</div>
+                       {event.effects && <div className="text-purple-500 text-[10px] font-medium">{describeEffects(event, format)}</div>}
+                       {event.allocations && (
+                         <div className="text-teal-600 text-[10px] font-medium">{format.money(event.allocations.reduce((sum, a) => sum + a.amount, 0))} to savings</div>
+                       )}
+                     </div>
+                   </div>
+                   <div className="flex items-center gap-3">
+                     {event.type === 'transfer' ? (
+                       <span className={`font-bold text-teal-600 flex items-center gap-1 ${isVoided ? 'line-through' : ''}`}>
+                         <PiggyBank size={14} />{format.signed(event.transfer)}
+                       </span>
+                     ) : (
+                       <span className={`font-bold ${event.type === 'earn' ? 'text-green-600' : 'text-orange-600'} ${isVoided ? 'line-through' : ''}`}>
+                         {format.signed(event.type === 'earn' ? Math.abs(event.amount) : -Math.abs(event.amount))}
+                       </span>
+                     )}
+                     {/* Undo Button (Tiny) */}
+                     {isVoided ? (
+                       <span className="text-[10px] font-bold text-slate-400 uppercase">Void</span>
+                     ) : (
+                       <button
+                         onClick={() => onUndo(event)}
+                         className="text-slate-300 hover:text-red-400 p-1"
+                       >
+                         <Trash2 size={14} />
+                       </button>
+                     )}
+                   </div>
+                 </div>
+               );
+             })
+           )}
+         </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, ChevronRight, CalendarClock } from 'lucide-react';
+import { HabitIcon } from './ui';
+import { getActiveHabits, getRemainingQuantity } from './habits';
+import QuantitySheet from './QuantitySheet';
+import CustomEventForm from './CustomEventForm';
+import { useFormat } from './format';
+import { useSelector } from './storeContext';
+import { selectActiveEvents } from './selectors';
+
+// The Log Activity sheet: pick a habit (then a quantity) or enter a custom event.
+// Logs land on `viewDay`; past days are backfilled at `backfillTime`.
+export default function LogSheet({ viewDay, todayKey, backfillTime, onBackfillTimeChange, onLog, onEditHabits, onClose }) {
+  const format = useFormat();
+  const habits = useSelector(state => state.habits);
+  const preferences = useSelector(state => state.preferences);
+  const activeEvents = useSelector(selectActiveEvents);
+  // Habit whose quantity is being picked
+  const [quantityHabit, setQuantityHabit] = useState(null);
+  const [showCustomEvent, setShowCustomEvent] = useState(false);
+
+  const isViewingToday = viewDay === todayKey;
+  const earningHabits = getActiveHabits(habits, 'earning');
+  const penaltyHabits = getActiveHabits(habits, 'penalty');
+
+  return (
+    <>
+      <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-end animate-fade-in">
+        <div className="bg-surface w-full rounded-t-3xl p-6 pb-10 animate-slide-up max-h-[85vh] overflow-y-auto">
+           <div className="flex justify-between items-center mb-6">
+             <h3 className="text-lg font-bold text-slate-800">Log Activity</h3>
+             <div className="flex items-center gap-2">
+               <button onClick={onEditHabits} className="p-2 bg-slate-100 rounded-full text-slate-500">
+                 <Pencil size={20} />
+               </button>
+               <button onClick={onClose} className="p-2 bg-slate-100 rounded-full text-slate-500"><ChevronRight className="rotate-90" /></button>
+             </div>
+           </div>
+
+           {!isViewingToday && (
+             <div className="flex items-center justify-between gap-3 mb-6 p-3 bg-amber-50 border border-amber-100 rounded-xl text-amber-800">
+               <div className="flex items-center gap-2 text-sm font-medium">
+                 <CalendarClock size={18} />
+                 Backfilling {format.dayLabel(viewDay, todayKey)}
+               </div>
+               <input
+                 type="time"
+                 value={backfillTime}
+                 onChange={(e) => onBackfillTimeChange(e.target.value || '12:00')}
+                 className="bg-surface border border-amber-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:border-amber-400"
+               />
+             </div>
+           )}
+
+           <div className="space-y-6">
+              <div>
+                <h4 className="text-xs font-bold text-teal-600 uppercase mb-3">Earnings</h4>
+                <div className="grid grid-cols-2 gap-3">
+                  {earningHabits.map(h => (
+                    <button key={h.id} onClick={() => setQuantityHabit(h)} className="flex items-center gap-3 p-3 border border-slate-100 rounded-xl hover:bg-teal-50 hover:border-teal-200 transition-colors text-left">
+                      <div className="text-teal-600 bg-teal-50 p-2 rounded-lg"><HabitIcon name={h.icon} /></div>
+                      <div>
+                        <div className="text-sm font-semibold text-slate-700">{h.label}</div>
+                        <div className="text-xs text-green-600 font-bold">{format.signed(h.amount)}{h.unit && `/${h.unit}`}</div>
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <h4 className="text-xs font-bold text-orange-500 uppercase mb-3">Penalties</h4>
+                <div className="grid grid-cols-2 gap-3">
+                  {penaltyHabits.map(h => (
+                    <button key={h.id} onClick={() => setQuantityHabit(h)} className="flex items-center gap-3 p-3 border border-slate-100 rounded-xl hover:bg-orange-50 hover:border-orange-200 transition-colors text-left">
+                      <div className="text-orange-500 bg-orange-50 p-2 rounded-lg"><HabitIcon name={h.icon} /></div>
+                      <div>
+                        <div className="text-sm font-semibold text-slate-700">{h.label}</div>
+                        <div className="text-xs text-orange-600 font-bold">{format.signed(h.amount)}{h.unit && `/${h.unit}`}</div>
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <button
+                onClick={() => setShowCustomEvent(true)}
+                className="w-full flex items-center justify-center gap-2 p-3 border border-dashed border-slate-300 rounded-xl text-sm font-semibold text-slate-500 hover:bg-slate-50"
+              >
+                <Plus size={16} /> Custom event
+              </button>
+           </div>
+        </div>
+      </div>
+
+      {quantityHabit && (
+        <QuantitySheet
+          key={quantityHabit.id}
+          habit={quantityHabit}
+          remaining={getRemainingQuantity(quantityHabit, activeEvents, viewDay, preferences)}
+          onLog={(quantity) => {
+            onLog(quantityHabit, quantity);
+            setQuantityHabit(null);
+          }}
+          onCancel={() => setQuantityHabit(null)}
+        />
+      )}
+
+      {showCustomEvent && (
+        <CustomEventForm
+          onSave={(custom) => {
+            onLog({ id: null, icon: custom.category === 'penalty' ? 'ShieldAlert' : 'Zap', ...custom }, 1);
+            setShowCustomEvent(false);
+          }}
+          onCancel={() => setShowCustomEvent(false)}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { Avatar, Button } from './ui';
+import { verifyPin } from './profiles';
+
+// Full-screen gate for a PIN-protected profile. Other profiles can be picked from here.
+export default function PinLock({ profile, profiles, onUnlock, onSwitch }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const others = profiles.filter(p => p.id !== profile.id);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await verifyPin(profile, pin)) {
+      onUnlock();
+    } else {
+      setError('Wrong PIN');
+      setPin('');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 flex justify-center font-sans antialiased text-slate-900">
+      <div className="w-full max-w-[420px] bg-app h-screen flex flex-col items-center justify-center p-8 shadow-2xl">
+        <Avatar profile={profile} size="lg" />
+        <h2 className="text-2xl font-bold text-slate-800 mt-4">{profile.name}</h2>
+        <p className="text-slate-500 text-sm flex items-center gap-1 mb-6"><Lock size={14} /> Enter your PIN</p>
+
+        <form onSubmit={submit} className="w-full max-w-[240px] space-y-3">
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            autoFocus
+            maxLength={8}
+            value={pin}
+            onChange={(e) => { setPin(e.target.value.replace(/\D/g, '')); setError(null); }}
+            className="w-full p-3 text-center text-2xl tracking-[0.5em] bg-surface border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500"
+          />
+          {error && <div className="text-center text-sm text-orange-600">{error}</div>}
+          <Button type="submit" className="w-full py-3" disabled={pin.length < 4}>Unlock</Button>
+        </form>
+
+        {others.length > 0 && (
+          <div className="mt-10 w-full">
+            <div className="text-xs font-bold text-slate-400 uppercase tracking-wider text-center mb-3">Not you?</div>
+            <div className="flex justify-center gap-4">
+              {others.map(p => (
+                <button key={p.id} onClick={() => onSwitch(p.id)} className="flex flex-col items-center gap-1">
+                  <Avatar profile={p} />
+                  <span className="text-[10px] font-medium text-slate-500 max-w-[64px] truncate">{p.name}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Pencil, Trash2, Plus, Lock } from 'lucide-react';
+import { Avatar, Button } from './ui';
+import { AVATAR_COLORS, PIN_PATTERN, normalizeProfile, hashPin, verifyPin } from './profiles';
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+const EMPTY_DRAFT = { name: '', color: 'purple', pinHash: null };
+
+const ProfileForm = ({ initial, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({ ...initial, pin: '', removePin: false });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const pinInvalid = draft.pin !== '' && !PIN_PATTERN.test(draft.pin);
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center gap-3 mb-4">
+          <Avatar profile={{ name: draft.name || '?', color: draft.color }} />
+          <h3 className="text-lg font-bold text-slate-800">{initial.id ? 'Edit Profile' : 'New Profile'}</h3>
+        </div>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          if (pinInvalid) return;
+          onSave(draft);
+        }}>
+          <input
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+            autoFocus
+            placeholder="Name..."
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Color</label>
+          <div className="flex gap-2 mb-4">
+            {Object.entries(AVATAR_COLORS).map(([color, className]) => (
+              <button
+                key={color}
+                type="button"
+                onClick={() => update('color', color)}
+                className={`w-9 h-9 rounded-full bg-gradient-to-tr ${className} ${draft.color === color ? 'ring-2 ring-offset-2 ring-slate-400' : ''}`}
+              />
+            ))}
+          </div>
+
+          <label className={labelClass}>{initial.pinHash ? 'New PIN (leave empty to keep)' : 'PIN (optional, 4–8 digits)'}</label>
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            maxLength={8}
+            value={draft.pin}
+            disabled={draft.removePin}
+            onChange={(e) => update('pin', e.target.value.replace(/\D/g, ''))}
+            className={`${inputClass} mb-2 ${pinInvalid ? 'border-orange-400' : ''}`}
+          />
+          {initial.pinHash && (
+            <label className="flex items-center gap-2 text-sm text-slate-600 mb-2">
+              <input type="checkbox" checked={draft.removePin} onChange={(e) => update('removePin', e.target.checked)} />
+              Remove PIN
+            </label>
+          )}
+
+          <div className="flex gap-3 mt-4">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function ProfileManager({ profile, profiles, onChange, onDelete, onBack }) {
+  const [editing, setEditing] = useState(null);
+
+  const saveProfile = async (draft) => {
+    const next = normalizeProfile(draft);
+    if (draft.removePin) next.pinHash = null;
+    else if (draft.pin) next.pinHash = await hashPin(next.id, draft.pin);
+
+    const exists = profiles.profiles.some(p => p.id === next.id);
+    onChange({
+      ...profiles,
+      profiles: exists ? profiles.profiles.map(p => p.id === next.id ? next : p) : [...profiles.profiles, next],
+    });
+    setEditing(null);
+  };
+
+  const deleteProfile = async (target) => {
+    if (!window.confirm(`Delete "${target.name}" and their whole ledger? This cannot be undone.`)) return;
+    if (target.pinHash && !(await verifyPin(target, window.prompt(`Enter ${target.name}'s PIN to delete it`) || ''))) {
+      window.alert('Wrong PIN');
+      return;
+    }
+    onDelete(target.id);
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Profiles</h2>
+        </div>
+        <button onClick={() => setEditing(EMPTY_DRAFT)} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-400 px-2">Each profile has its own wallet, habits, missions and settings on this device.</p>
+
+      <div className="space-y-2">
+        {profiles.profiles.map(p => {
+          const isActive = p.id === profile.id;
+          return (
+            <div key={p.id} className="flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100">
+              <div className="flex items-center gap-3 min-w-0">
+                <Avatar profile={p} />
+                <div className="min-w-0">
+                  <div className="text-sm font-semibold text-slate-700 truncate flex items-center gap-1">
+                    {p.name}
+                    {p.pinHash && <Lock size={12} className="text-slate-400" />}
+                  </div>
+                  {isActive && <div className="text-[10px] font-bold text-teal-600 uppercase">Active</div>}
+                </div>
+              </div>
+              <div className="flex items-center gap-1 text-slate-400">
+                {isActive ? (
+                  <button onClick={() => setEditing(p)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+                ) : (
+                  <>
+                    <Button variant="outline" className="text-xs py-1 px-3 h-8" onClick={() => onChange({ ...profiles, activeId: p.id })}>
+                      Switch
+                    </Button>
+                    <button onClick={() => deleteProfile(p)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {editing && (
+        <ProfileForm
+          key={editing.id || 'new'}
+          initial={editing}
+          onSave={saveProfile}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
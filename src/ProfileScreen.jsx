@@ -0,0 +1,253 @@
+import React from 'react';
+import {
+  ChevronRight,
+  ShoppingBag,
+  Settings,
+  Pencil,
+  Database,
+  Bell,
+  Users,
+  PiggyBank,
+  Cloud,
+  CloudOff,
+  Trophy
+} from 'lucide-react';
+import { Avatar, Button, Card, HabitIcon } from './ui';
+import { getActiveHabits } from './habits';
+import { UPGRADES, getActiveEffects } from './inventory';
+import { describeSyncStatus } from './sync';
+import { ACHIEVEMENTS, TIER_NAMES, getAchievementStatus } from './achievements';
+import { useFormat } from './format';
+import { useSelector, useTodayKey } from './storeContext';
+import {
+  selectTotals,
+  selectLocked,
+  selectSpendable,
+  selectProgression,
+  selectChallengeProgress,
+  selectAchievementValues
+} from './selectors';
+
+// Badge colours by tier, Bronze to Platinum
+const TIER_STYLES = [
+  'bg-orange-100 text-orange-700',
+  'bg-slate-200 text-slate-600',
+  'bg-amber-100 text-amber-600',
+  'bg-cyan-100 text-cyan-700',
+];
+
+// Every achievement with its current tier, when it was reached and progress toward the next
+const TrophyCase = ({ todayKey }) => {
+  const format = useFormat();
+  const unlocked = useSelector(state => state.achievements);
+  const values = useSelector(selectAchievementValues, todayKey);
+
+  const statuses = ACHIEVEMENTS.map(achievement => ({
+    achievement,
+    value: values.get(achievement.id),
+    record: unlocked?.[achievement.id],
+    ...getAchievementStatus(achievement, values.get(achievement.id), unlocked?.[achievement.id]),
+  }));
+  const tierCount = statuses.reduce((sum, s) => sum + s.tier, 0);
+  const tierTotal = ACHIEVEMENTS.reduce((sum, a) => sum + a.tiers.length, 0);
+  const show = (achievement, amount) => (achievement.money ? format.money(amount) : amount);
+
+  return (
+    <div>
+      <div className="flex justify-between items-end mb-3 px-2">
+        <h3 className="text-sm font-bold text-slate-800 uppercase">Trophy Case</h3>
+        <span className="text-xs text-slate-400">{tierCount}/{tierTotal} badges</span>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        {statuses.map(({ achievement, value, record, tier, next, ratio }) => (
+          <div key={achievement.id} className={`bg-surface p-3 rounded-xl border border-slate-100 ${tier === 0 ? 'opacity-60' : ''}`}>
+            <div className="flex items-center gap-2 mb-2">
+              <div className={`p-2 rounded-lg ${tier === 0 ? 'bg-slate-100 text-slate-400' : TIER_STYLES[tier - 1]}`}>
+                <HabitIcon name={achievement.icon} size={16} />
+              </div>
+              <div className="min-w-0">
+                <div className="text-sm font-bold text-slate-800 truncate">{achievement.name}</div>
+                <div className="text-[10px] font-bold text-slate-400 uppercase">
+                  {tier === 0 ? 'Locked' : TIER_NAMES[tier - 1]}
+                  {record?.unlockedAt[tier - 1] && ` · ${format.date(record.unlockedAt[tier - 1])}`}
+                </div>
+              </div>
+            </div>
+            {next === null ? (
+              <div className="text-xs text-slate-500">All tiers unlocked</div>
+            ) : (
+              <>
+                <div className="text-xs text-slate-500 mb-1">{achievement.describe(next, format)}</div>
+                <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-amber-400 rounded-full transition-all duration-500" style={{ width: `${ratio * 100}%` }}></div>
+                </div>
+                <div className="text-[10px] text-slate-400 mt-1">{show(achievement, value)} / {show(achievement, next)}</div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Level, streaks, the settings menu, the trophy case and the upgrade store.
+export default function ProfileScreen({ profile, profiles, onNavigate, onDrinkPotion, onBuyUpgrade }) {
+  const format = useFormat();
+  const todayKey = useTodayKey();
+  const habits = useSelector(state => state.habits);
+  const inventory = useSelector(state => state.inventory);
+  const challenges = useSelector(state => state.challenges);
+  const reminders = useSelector(state => state.reminders);
+  const sync = useSelector(state => state.sync);
+  const syncStatus = useSelector(state => state.syncStatus);
+  const totals = useSelector(selectTotals);
+  const locked = useSelector(selectLocked);
+  const spendable = useSelector(selectSpendable);
+  const progression = useSelector(selectProgression, todayKey);
+  const challengeProgress = useSelector(selectChallengeProgress, todayKey);
+
+  const { streak, level, habitStreaks } = progression;
+  const activeHabitStreaks = habitStreaks.filter(h => h.current > 0 || h.best > 0);
+  const activeUpgrades = Object.fromEntries(getActiveEffects(inventory).map(effect => [effect.item.id, effect]));
+  const activeHabitCount = getActiveHabits(habits, 'earning').length + getActiveHabits(habits, 'penalty').length;
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex flex-col items-center pt-8 pb-2">
+        <button onClick={() => onNavigate({ tab: 'profiles' })} className="mb-4">
+          <Avatar profile={profile} size="lg" />
+        </button>
+        <h2 className="text-2xl font-bold text-slate-800">{profile.name}</h2>
+        <p className="text-slate-500">Level {level.level} • {streak.current} Day Streak</p>
+        <p className="text-xs text-slate-400 mt-1">
+          Best streak: {streak.best} day{streak.best === 1 ? '' : 's'}
+          {streak.pendingToday && streak.current > 0 && ' • log today to keep it'}
+        </p>
+      </div>
+
+      <Card>
+        <div className="flex justify-between items-end mb-2">
+          <div className="text-xs font-bold text-slate-400 uppercase tracking-wide">Level {level.level}</div>
+          <div className="text-xs text-slate-500">{level.xpIntoLevel}/{level.xpForNext} XP to Level {level.level + 1}</div>
+        </div>
+        <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+          <div className="h-full bg-gradient-to-r from-teal-400 to-cyan-400 rounded-full transition-all duration-500" style={{ width: `${Math.min(level.progress * 100, 100)}%` }}></div>
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-2 gap-4">
+        <Card className="text-center">
+          <div className="text-2xl font-bold text-green-600">{format.money(totals.earned)}</div>
+          <div className="text-xs text-slate-400 uppercase tracking-wide">Total Earned</div>
+        </Card>
+        <Card className="text-center">
+          <div className="text-2xl font-bold text-orange-500">{format.money(totals.fined)}</div>
+          <div className="text-xs text-slate-400 uppercase tracking-wide">Total Fines</div>
+        </Card>
+      </div>
+
+      <div className="space-y-3">
+        {[
+          { id: 'profiles', icon: Users, title: 'Profiles', subtitle: `${profiles.profiles.length} on this device` },
+          { id: 'habits', icon: Pencil, title: 'Manage Habits', subtitle: `${activeHabitCount} active habits` },
+          { id: 'settings', icon: Settings, title: 'Settings', subtitle: 'Days, streaks, rules & shop' },
+          { id: 'goals', icon: PiggyBank, title: 'Savings Goals', subtitle: `${format.money(locked)} locked · ${format.money(spendable)} spendable` },
+          {
+            id: 'challenges',
+            icon: Trophy,
+            title: 'Challenges',
+            subtitle: `${[...challengeProgress.values()].filter(p => p.status === 'active').length} running · ${challenges.filter(c => c.outcome === 'won').length} won`,
+          },
+          { id: 'reminders', icon: Bell, title: 'Reminders', subtitle: `${reminders.filter(r => r.enabled).length} active` },
+          { id: 'data', icon: Database, title: 'Backup & Restore', subtitle: 'Export or import your ledger' },
+          {
+            id: 'sync',
+            icon: syncStatus.state === 'offline' || syncStatus.state === 'error' ? CloudOff : Cloud,
+            title: 'Sync',
+            subtitle: describeSyncStatus(sync, syncStatus, format),
+          },
+        ].map(row => (
+          <button
+            key={row.id}
+            onClick={() => onNavigate({ tab: row.id })}
+            className="w-full flex justify-between items-center bg-surface p-4 rounded-xl border border-slate-100 active:scale-[0.98] transition-transform"
+          >
+            <div className="flex gap-3 items-center">
+              <div className="p-2 bg-teal-50 text-teal-600 rounded-lg"><row.icon size={18}/></div>
+              <div className="text-left">
+                <div className="font-bold text-slate-800 text-sm">{row.title}</div>
+                <div className="text-xs text-slate-500">{row.subtitle}</div>
+              </div>
+            </div>
+            <ChevronRight size={18} className="text-slate-400" />
+          </button>
+        ))}
+      </div>
+
+      {activeHabitStreaks.length > 0 && (
+        <div>
+          <h3 className="text-sm font-bold text-slate-800 uppercase mb-3 px-2">Habit Streaks</h3>
+          <div className="space-y-2">
+            {activeHabitStreaks.map(h => (
+              <div key={h.habitId} className="flex justify-between items-center bg-surface p-3 rounded-xl border border-slate-100">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-teal-50 text-teal-600 rounded-lg"><HabitIcon name={h.icon} size={16} /></div>
+                  <span className="text-sm font-medium text-slate-700">{h.label}</span>
+                </div>
+                <div className="text-right">
+                  <div className="text-sm font-bold text-slate-800">{h.current}d</div>
+                  <div className="text-[10px] text-slate-400">best {h.best}d</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <TrophyCase todayKey={todayKey} />
+
+      <div>
+        <h3 className="text-sm font-bold text-slate-800 uppercase mb-3 px-2">Store Upgrades</h3>
+        <div className="space-y-3">
+          {UPGRADES.map(item => (
+            <div key={item.id} className="flex justify-between items-center bg-surface p-4 rounded-xl border border-slate-100">
+               <div className="flex gap-3 items-center">
+                 <div className="p-2 bg-purple-50 text-purple-600 rounded-lg"><ShoppingBag size={18}/></div>
+                 <div>
+                   <div className="font-bold text-slate-800 text-sm">{item.name}</div>
+                   <div className="text-xs text-slate-500">{item.desc}</div>
+                   {activeUpgrades[item.id] && (
+                     <div className="text-[10px] font-bold text-purple-600 mt-0.5">
+                       {item.kind === 'consumable' ? `Owned ×${activeUpgrades[item.id].quantity}` : `Active · ${activeUpgrades[item.id].daysLeft}d left`}
+                     </div>
+                   )}
+                 </div>
+               </div>
+               <div className="flex items-center gap-2">
+                 {item.id === 'potion' && inventory.items.potion?.quantity > 0 && (
+                   <Button
+                     variant="ghost"
+                     className="text-xs py-1 px-3 h-8"
+                     disabled={!streak.restorableDay}
+                     onClick={onDrinkPotion}
+                   >
+                     Use ×{inventory.items.potion.quantity}
+                   </Button>
+                 )}
+                 <Button
+                   variant="outline"
+                   className="text-xs py-1 px-3 h-8"
+                   disabled={spendable < item.cost}
+                   onClick={() => onBuyUpgrade(item)}
+                 >
+                   {format.money(item.cost)}
+                 </Button>
+               </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
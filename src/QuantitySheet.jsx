@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Minus, Plus } from 'lucide-react';
+import { Button, HabitIcon } from './ui';
+import { useFormat } from './format';
+
+// Stepper for logging several units of a habit as one event.
+export default function QuantitySheet({ habit, remaining, onLog, onCancel }) {
+  const format = useFormat();
+  const [quantity, setQuantity] = useState(Math.min(1, remaining));
+  const isEarning = habit.amount >= 0;
+  const total = habit.amount * quantity;
+  const setClamped = (value) => setQuantity(Math.min(Math.max(Math.floor(value) || 0, 0), remaining));
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-end animate-fade-in">
+      <div className="bg-surface w-full rounded-t-3xl p-6 pb-10 animate-slide-up">
+        <div className="flex items-center gap-3 mb-6">
+          <div className={`p-2 rounded-lg ${isEarning ? 'text-teal-600 bg-teal-50' : 'text-orange-500 bg-orange-50'}`}>
+            <HabitIcon name={habit.icon} />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-slate-800">{habit.label}</h3>
+            <div className="text-xs text-slate-400">
+              {format.money(Math.abs(habit.amount))} per {habit.unit || 'log'}
+              {Number.isFinite(remaining) && ` · ${remaining}${habit.unit ? ` ${habit.unit}` : ''} left today`}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-center gap-6 mb-4">
+          <button
+            onClick={() => setClamped(quantity - 1)}
+            disabled={quantity <= 1}
+            className="w-12 h-12 rounded-full bg-slate-100 text-slate-600 flex items-center justify-center disabled:opacity-30"
+          >
+            <Minus size={20} />
+          </button>
+          <div className="flex items-baseline gap-1">
+            <input
+              type="number"
+              min="1"
+              max={Number.isFinite(remaining) ? remaining : undefined}
+              value={quantity}
+              onChange={(e) => setClamped(Number(e.target.value))}
+              className="w-20 text-center text-4xl font-bold text-slate-800 focus:outline-none"
+            />
+            {habit.unit && <span className="text-lg font-medium text-slate-400">{habit.unit}</span>}
+          </div>
+          <button
+            onClick={() => setClamped(quantity + 1)}
+            disabled={quantity >= remaining}
+            className="w-12 h-12 rounded-full bg-slate-100 text-slate-600 flex items-center justify-center disabled:opacity-30"
+          >
+            <Plus size={20} />
+          </button>
+        </div>
+
+        <div className={`text-center font-bold mb-6 ${isEarning ? 'text-green-600' : 'text-orange-600'}`}>
+          {format.signed(isEarning ? Math.abs(total) : -Math.abs(total))}
+        </div>
+
+        <div className="flex gap-3">
+          <Button variant="ghost" className="flex-1 py-3" onClick={onCancel}>Cancel</Button>
+          <Button
+            variant={isEarning ? 'primary' : 'danger'}
+            className="flex-1 py-3 disabled:opacity-50"
+            disabled={quantity < 1}
+            onClick={() => onLog(quantity)}
+          >
+            {remaining === 0 ? 'Daily cap reached' : 'Log'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Pencil, Trash2, Plus, Bell, BellOff } from 'lucide-react';
+import { Button } from './ui';
+import {
+  normalizeReminder,
+  describeReminder,
+  getNotificationPermission,
+  requestNotificationPermission
+} from './reminders';
+import { useFormat } from './format';
+
+const EMPTY_DRAFT = { label: '', habitId: null, kind: 'daily', time: '09:00', until: '21:00', everyHours: 2, enabled: true };
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+const PERMISSION_NOTES = {
+  default: 'Allow notifications so reminders can reach you.',
+  denied: 'Notifications are blocked for this site. Allow them in your browser settings.',
+  unsupported: 'This browser cannot show notifications.',
+};
+
+const ReminderForm = ({ initial, habits, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(initial);
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Reminder' : 'New Reminder'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          onSave(normalizeReminder(draft));
+        }}>
+          <input
+            value={draft.label}
+            onChange={(e) => update('label', e.target.value)}
+            autoFocus
+            placeholder="Reminder text..."
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Skip when logged</label>
+          <select
+            value={draft.habitId || ''}
+            onChange={(e) => update('habitId', e.target.value || null)}
+            className={`${inputClass} mb-4`}
+          >
+            <option value="">Anything today</option>
+            {habits.filter(h => !h.archived).map(h => <option key={h.id} value={h.id}>{h.label}</option>)}
+          </select>
+
+          <div className="flex gap-2 mb-4">
+            {[['daily', 'Once a day'], ['interval', 'Repeating']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => update('kind', value)}
+                className={`flex-1 py-2 text-center border rounded-lg text-sm font-medium transition-all ${draft.kind === value ? 'bg-teal-50 border-teal-500 text-teal-700' : 'border-slate-200 text-slate-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-2 mb-4">
+            <div className="flex-1">
+              <label className={labelClass}>{draft.kind === 'daily' ? 'At' : 'From'}</label>
+              <input type="time" value={draft.time} onChange={(e) => update('time', e.target.value)} className={inputClass} required />
+            </div>
+            {draft.kind === 'interval' && (
+              <div className="flex-1">
+                <label className={labelClass}>Until</label>
+                <input type="time" value={draft.until} onChange={(e) => update('until', e.target.value)} className={inputClass} required />
+              </div>
+            )}
+          </div>
+
+          {draft.kind === 'interval' && (
+            <>
+              <label className={labelClass}>Every (hours)</label>
+              <input
+                type="number"
+                min="1"
+                value={draft.everyHours}
+                onChange={(e) => update('everyHours', e.target.value)}
+                className={`${inputClass} mb-4`}
+              />
+            </>
+          )}
+
+          <div className="flex gap-3 mt-2">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function ReminderManager({ reminders, habits, onChange, onBack }) {
+  const format = useFormat();
+  const [editing, setEditing] = useState(null);
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const askPermission = async () => {
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    return result === 'granted';
+  };
+
+  const saveReminder = async (reminder) => {
+    const exists = reminders.some(r => r.id === reminder.id);
+    onChange(exists ? reminders.map(r => r.id === reminder.id ? reminder : r) : [...reminders, reminder]);
+    setEditing(null);
+    if (reminder.enabled && permission === 'default') await askPermission();
+  };
+
+  const toggleReminder = async (reminder) => {
+    if (!reminder.enabled && permission !== 'granted' && !(await askPermission())) return;
+    onChange(reminders.map(r => r.id === reminder.id ? { ...r, enabled: !r.enabled } : r));
+  };
+
+  const deleteReminder = (reminder) => {
+    if (!window.confirm(`Delete "${reminder.label}"?`)) return;
+    onChange(reminders.filter(r => r.id !== reminder.id));
+  };
+
+  const habitLabel = (habitId) => habits.find(h => h.id === habitId)?.label;
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Reminders</h2>
+        </div>
+        <button onClick={() => setEditing(EMPTY_DRAFT)} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      {permission !== 'granted' && (
+        <div className="flex items-center justify-between gap-3 p-3 bg-amber-50 border border-amber-100 rounded-xl text-amber-800 text-sm">
+          <span>{PERMISSION_NOTES[permission]}</span>
+          {permission === 'default' && (
+            <Button variant="outline" className="text-xs py-1 px-3 h-8 shrink-0" onClick={askPermission}>Allow</Button>
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-slate-400 px-2">
+        Reminders fire while the app is open or in a background tab, and are skipped when you have already logged.
+      </p>
+
+      <div className="space-y-2">
+        {reminders.length === 0 && (
+          <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            No reminders yet.
+          </div>
+        )}
+        {reminders.map(reminder => (
+          <div key={reminder.id} className={`flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100 ${reminder.enabled ? '' : 'opacity-60'}`}>
+            <div className="flex items-center gap-3 min-w-0">
+              <button
+                onClick={() => toggleReminder(reminder)}
+                className={`p-2 rounded-lg ${reminder.enabled ? 'text-teal-600 bg-teal-50' : 'text-slate-400 bg-slate-100'}`}
+              >
+                {reminder.enabled ? <Bell size={18} /> : <BellOff size={18} />}
+              </button>
+              <div className="min-w-0">
+                <div className="text-sm font-semibold text-slate-700 truncate">{reminder.label}</div>
+                <div className="text-xs text-slate-400">
+                  {describeReminder(reminder, format)}
+                  {reminder.habitId && habitLabel(reminder.habitId) && ` · skips after ${habitLabel(reminder.habitId)}`}
+                </div>
+              </div>
+            </div>
+            <div className="flex items-center text-slate-400">
+              <button onClick={() => setEditing(reminder)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+              <button onClick={() => deleteReminder(reminder)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <ReminderForm
+          key={editing.id || 'new'}
+          initial={editing}
+          habits={habits}
+          onSave={saveReminder}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
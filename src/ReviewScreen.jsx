@@ -0,0 +1,250 @@
+import React, { useMemo } from 'react';
+import { ChevronLeft, ChevronRight, FileText, Image as ImageIcon } from 'lucide-react';
+import { Button, Card } from './ui';
+import { downloadFile, shareFile } from './files';
+import { renderReviewImage } from './reviewImage';
+import {
+  REVIEW_PERIODS,
+  MOODS,
+  getReviewId,
+  getFinishedPeriods,
+  formatPeriodLabel,
+  shiftPeriod,
+  buildReview,
+  compareReviews,
+  getPeriodNet,
+  reviewToMarkdown
+} from './reviews';
+import { useFormat } from './format';
+
+const SectionTitle = ({ children }) => (
+  <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">{children}</h3>
+);
+
+// A small "vs previous" figure; `invert` for figures where lower is better (fines).
+// Money by default, or plain counts with `count`.
+const Change = ({ value, invert = false, count = false }) => {
+  const format = useFormat();
+  if (value === undefined || value === 0) return <div className="text-[10px] text-slate-400">same as before</div>;
+  const better = invert ? value < 0 : value > 0;
+  return <div className={`text-[10px] font-medium ${better ? 'text-green-600' : 'text-orange-500'}`}>{count ? `${value > 0 ? '+' : ''}${format.number(value)}` : format.signed(value)} vs before</div>;
+};
+
+const Stat = ({ label, value, change }) => (
+  <Card className="text-center py-3">
+    <div className="text-lg font-bold text-slate-800">{value}</div>
+    <div className="text-[10px] text-slate-400 uppercase tracking-wide">{label}</div>
+    {change}
+  </Card>
+);
+
+const RankedList = ({ entries, empty, color }) => {
+  const format = useFormat();
+  return entries.length === 0 ? (
+    <div className="text-center py-3 text-xs text-slate-400">{empty}</div>
+  ) : (
+    entries.map(entry => (
+      <div key={entry.key} className="flex justify-between text-sm py-1">
+        <span className="text-slate-700">{entry.label} <span className="text-slate-400">×{entry.count}</span></span>
+        <span className={`font-medium ${color}`}>{format.signed(entry.total)}</span>
+      </div>
+    ))
+  );
+};
+
+export default function ReviewScreen({ events, ledger, tasks, preferences, restoredDays, todayKey, notes, period, selectedKey, onSelect, onNotesChange, onBack }) {
+  const format = useFormat();
+
+  const firstDay = useMemo(() => [...ledger.days.keys()].sort()[0], [ledger]);
+  const periods = useMemo(() => getFinishedPeriods(period, todayKey, firstDay), [period, todayKey, firstDay]);
+  // Without a selected key (or with one outside the list) the latest finished period shows
+  const key = selectedKey && periods.includes(selectedKey) ? selectedKey : periods[0];
+  const index = periods.indexOf(key);
+
+  const reviewOptions = useMemo(() => ({
+    events,
+    ledger,
+    tasks,
+    dayOptions: preferences,
+    streakRule: preferences.streakRule,
+    restoredDays,
+  }), [events, ledger, tasks, preferences, restoredDays]);
+  const review = useMemo(() => key ? buildReview(period, key, reviewOptions) : null, [period, key, reviewOptions]);
+  const previous = useMemo(
+    () => key ? buildReview(period, shiftPeriod(period, key, -1), reviewOptions) : null,
+    [period, key, reviewOptions]
+  );
+  // The first period has nothing logged before it to compare against
+  const comparison = review && index < periods.length - 1 ? compareReviews(review, previous) : null;
+  const note = review ? notes[review.id] || {} : {};
+
+  const updateNote = (patch) => {
+    onNotesChange({ ...notes, [review.id]: { ...note, ...patch, updatedAt: new Date().toISOString() } });
+  };
+
+  const exportMarkdown = () => {
+    downloadFile(`review-${review.period}-${review.key}.md`, reviewToMarkdown(review, comparison, note, format), 'text/markdown');
+  };
+
+  const exportImage = async () => {
+    const image = await renderReviewImage(review, comparison, note, format);
+    await shareFile(`review-${review.period}-${review.key}.png`, image, 'image/png');
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Reviews</h2>
+        </div>
+        <div className="flex bg-slate-100 rounded-lg p-0.5 text-[10px] font-bold">
+          {REVIEW_PERIODS.map(p => (
+            <button
+              key={p}
+              onClick={() => onSelect(p, null)}
+              className={`px-2 py-1 rounded-md uppercase ${period === p ? 'bg-surface text-slate-700 shadow-sm' : 'text-slate-400'}`}
+            >
+              {p}ly
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!review ? (
+        <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+          Your first {period}ly review appears once a full {period} has been logged.
+        </div>
+      ) : (
+        <>
+          <div className="flex justify-between items-center text-slate-500 text-sm font-medium">
+            <button
+              onClick={() => onSelect(period, periods[index + 1])}
+              disabled={index >= periods.length - 1}
+              className="p-2 hover:bg-slate-100 rounded-full disabled:opacity-30 disabled:hover:bg-transparent"
+            >
+              <ChevronLeft size={20} />
+            </button>
+            <span className="uppercase">{formatPeriodLabel(period, key, format)}</span>
+            <button
+              onClick={() => onSelect(period, periods[index - 1])}
+              disabled={index <= 0}
+              className="p-2 hover:bg-slate-100 rounded-full disabled:opacity-30 disabled:hover:bg-transparent"
+            >
+              <ChevronRight size={20} />
+            </button>
+          </div>
+
+          <Card className="text-center py-6">
+            <div className="text-slate-500 text-xs font-medium tracking-widest uppercase mb-1">Net change</div>
+            <div className={`text-4xl font-bold mb-1 ${review.net >= 0 ? 'text-green-600' : 'text-orange-600'}`}>{format.signed(review.net)}</div>
+            {comparison && <Change value={comparison.net} />}
+          </Card>
+
+          <div className="grid grid-cols-2 gap-3">
+            <Stat label="Earned" value={format.money(review.earned)} change={comparison && <Change value={comparison.earned} />} />
+            <Stat label="Fined" value={format.money(review.fined)} change={comparison && <Change value={comparison.fined} invert />} />
+            <Stat
+              label="Streak days"
+              value={`${review.streak.kept}/${review.streak.total}`}
+              change={comparison && <Change value={comparison.kept} count />}
+            />
+            <Stat
+              label="Missions done"
+              value={`${review.tasks.completed}/${review.tasks.created}`}
+              change={comparison && <Change value={comparison.completed} count />}
+            />
+          </div>
+
+          <Card className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-slate-500">Best day</span>
+              <span className="font-medium text-slate-800">
+                {review.bestDay ? `${format.day(review.bestDay.day, 'weekday')} · ${format.signed(review.bestDay.delta)}` : '—'}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-slate-500">Worst day</span>
+              <span className="font-medium text-slate-800">
+                {review.worstDay ? `${format.day(review.worstDay.day, 'weekday')} · ${format.signed(review.worstDay.delta)}` : '—'}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-slate-500">Streak</span>
+              <span className="font-medium text-slate-800">
+                {review.streak.breaks === 0 ? 'Never broken' : `Broken ${review.streak.breaks}×`}
+              </span>
+            </div>
+          </Card>
+
+          <div>
+            <SectionTitle>Most logged habits</SectionTitle>
+            <Card><RankedList entries={review.topHabits} empty="No habits logged." color="text-green-600" /></Card>
+          </div>
+
+          <div>
+            <SectionTitle>Penalties</SectionTitle>
+            <Card><RankedList entries={review.topPenalties} empty="No penalties. Clean run." color="text-orange-600" /></Card>
+          </div>
+
+          <div>
+            <SectionTitle>Reflection</SectionTitle>
+            <Card className="space-y-3">
+              <div className="flex gap-2">
+                {MOODS.map(mood => (
+                  <button
+                    key={mood.value}
+                    onClick={() => updateNote({ mood: note.mood === mood.value ? null : mood.value })}
+                    className={`flex-1 py-2 rounded-lg border text-center transition-all ${note.mood === mood.value ? 'bg-teal-50 border-teal-500 text-teal-700' : 'border-slate-200 text-slate-500'}`}
+                  >
+                    <div className="text-sm font-bold">{mood.value}</div>
+                    <div className="text-[10px]">{mood.label}</div>
+                  </button>
+                ))}
+              </div>
+              <textarea
+                value={note.text || ''}
+                onChange={(e) => updateNote({ text: e.target.value })}
+                rows={3}
+                placeholder={`How did this ${period} go?`}
+                className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:border-teal-500 resize-none"
+              />
+            </Card>
+          </div>
+
+          <div className="flex gap-3">
+            <Button variant="outline" className="flex-1 py-3" onClick={exportImage}>
+              <ImageIcon size={16} /> Share image
+            </Button>
+            <Button variant="ghost" className="flex-1 py-3" onClick={exportMarkdown}>
+              <FileText size={16} /> Markdown
+            </Button>
+          </div>
+
+          <div>
+            <SectionTitle>Past reviews</SectionTitle>
+            <div className="space-y-2">
+              {periods.map(periodKey => {
+                const net = getPeriodNet(ledger, period, periodKey);
+                const mood = MOODS.find(m => m.value === notes[getReviewId(period, periodKey)]?.mood);
+                return (
+                  <button
+                    key={periodKey}
+                    onClick={() => onSelect(period, periodKey)}
+                    className={`w-full flex justify-between items-center bg-surface p-3 rounded-xl border text-sm ${periodKey === key ? 'border-teal-500' : 'border-slate-100'}`}
+                  >
+                    <span className="font-medium text-slate-700">{formatPeriodLabel(period, periodKey, format)}</span>
+                    <span className="flex items-center gap-3">
+                      {mood && <span className="text-xs text-slate-400">{mood.label}</span>}
+                      <span className={`font-bold ${net >= 0 ? 'text-green-600' : 'text-orange-600'}`}>{format.signed(net)}</span>
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Pencil, Trash2, Plus } from 'lucide-react';
+import { Button, HabitIcon } from './ui';
+import { HABIT_ICONS } from './habits';
+import { normalizeReward, describeRewardRules } from './rewards';
+import { useFormat } from './format';
+
+const EMPTY_DRAFT = { name: '', price: 200, icon: 'ShoppingBag', cooldownHours: 0, limit: null };
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+
+const RewardForm = ({ initial, onSave, onCancel }) => {
+  const format = useFormat();
+  const [draft, setDraft] = useState({
+    ...initial,
+    limitCount: initial.limit?.count || 0,
+    limitPeriod: initial.limit?.period || 'day',
+  });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Reward' : 'New Reward'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          onSave(normalizeReward({
+            ...draft,
+            limit: { count: draft.limitCount, period: draft.limitPeriod },
+          }));
+        }}>
+          <input
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+            autoFocus
+            placeholder="Reward name..."
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Price ({format.symbol})</label>
+          <input
+            type="number"
+            min="0"
+            value={draft.price}
+            onChange={(e) => update('price', e.target.value)}
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Cooldown (hours, 0 = none)</label>
+          <input
+            type="number"
+            min="0"
+            value={draft.cooldownHours}
+            onChange={(e) => update('cooldownHours', e.target.value)}
+            className={`${inputClass} mb-4`}
+          />
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Purchase limit (0 = unlimited)</label>
+          <div className="flex gap-2 mb-4">
+            <input
+              type="number"
+              min="0"
+              value={draft.limitCount}
+              onChange={(e) => update('limitCount', e.target.value)}
+              className={inputClass}
+            />
+            <select
+              value={draft.limitPeriod}
+              onChange={(e) => update('limitPeriod', e.target.value)}
+              className={inputClass}
+            >
+              <option value="day">per day</option>
+              <option value="week">per week</option>
+            </select>
+          </div>
+
+          <label className="block text-xs font-bold text-slate-400 uppercase mb-2">Icon</label>
+          <div className="grid grid-cols-7 gap-2 mb-6">
+            {Object.keys(HABIT_ICONS).map(name => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => update('icon', name)}
+                className={`aspect-square rounded-lg flex items-center justify-center border ${draft.icon === name ? 'border-purple-500 bg-purple-50 text-purple-600' : 'border-slate-100 text-slate-500'}`}
+              >
+                <HabitIcon name={name} />
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-3">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function RewardManager({ rewards, onChange, onBack }) {
+  const format = useFormat();
+  const [editing, setEditing] = useState(null);
+
+  const saveReward = (reward) => {
+    const exists = rewards.some(r => r.id === reward.id);
+    onChange(exists ? rewards.map(r => r.id === reward.id ? reward : r) : [...rewards, reward]);
+    setEditing(null);
+  };
+
+  const deleteReward = (reward) => {
+    if (!window.confirm(`Delete "${reward.name}"? Past purchases stay in your history.`)) return;
+    onChange(rewards.filter(r => r.id !== reward.id));
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Rewards</h2>
+        </div>
+        <button onClick={() => setEditing(EMPTY_DRAFT)} className="p-2 bg-purple-50 text-purple-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {rewards.length === 0 && (
+          <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            No rewards yet. Add something worth grinding for.
+          </div>
+        )}
+        {rewards.map(reward => (
+          <div key={reward.id} className="flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100">
+            <div className="flex items-center gap-3 min-w-0">
+              <div className="p-2 rounded-lg text-purple-600 bg-purple-50">
+                <HabitIcon name={reward.icon} />
+              </div>
+              <div className="min-w-0">
+                <div className="text-sm font-semibold text-slate-700 truncate">{reward.name}</div>
+                <div className="text-xs text-slate-400">
+                  {format.money(reward.price)}{describeRewardRules(reward) && ` · ${describeRewardRules(reward)}`}
+                </div>
+              </div>
+            </div>
+            <div className="flex items-center text-slate-400">
+              <button onClick={() => setEditing(reward)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+              <button onClick={() => deleteReward(reward)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <RewardForm
+          key={editing.id || 'new'}
+          initial={editing}
+          onSave={saveReward}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Pencil } from 'lucide-react';
+import { Button, HabitIcon } from './ui';
+import { checkRewardPurchase, describeRewardRules } from './rewards';
+import { useFormat } from './format';
+import { useSelector } from './storeContext';
+import { selectActiveEvents, selectSpendable } from './selectors';
+
+// The treats on sale, shown above the "Money I used" history.
+export default function RewardShop({ onBuy, onEdit }) {
+  const format = useFormat();
+  const rewards = useSelector(state => state.rewards);
+  const preferences = useSelector(state => state.preferences);
+  const events = useSelector(selectActiveEvents);
+  const spendable = useSelector(selectSpendable);
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between items-center mb-3 px-2">
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">Rewards Shop</h3>
+        <button onClick={onEdit} className="p-1.5 text-purple-600 bg-purple-50 rounded-lg">
+          <Pencil size={14} />
+        </button>
+      </div>
+      <div className="space-y-3">
+        {rewards.length === 0 && (
+          <div className="text-center py-6 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            No rewards yet. Tap the pencil to add one.
+          </div>
+        )}
+        {rewards.map(reward => {
+          const check = checkRewardPurchase(reward, {
+            events,
+            balance: spendable,
+            reserve: preferences.spendingReserve,
+            dayOptions: preferences,
+            format,
+          });
+          const rules = describeRewardRules(reward);
+          return (
+            <div key={reward.id} className="flex justify-between items-center bg-surface p-4 rounded-xl border border-slate-100">
+              <div className="flex gap-3 items-center min-w-0">
+                <div className="p-2 bg-purple-50 text-purple-600 rounded-lg"><HabitIcon name={reward.icon} /></div>
+                <div className="min-w-0">
+                  <div className="font-bold text-slate-800 text-sm truncate">{reward.name}</div>
+                  <div className={`text-xs ${check.allowed ? 'text-slate-500' : 'text-orange-500'}`}>
+                    {check.allowed ? rules || 'No limits' : check.reason}
+                  </div>
+                </div>
+              </div>
+              <Button
+                variant="outline"
+                className="text-xs py-1 px-3 h-8 shrink-0"
+                disabled={!check.allowed}
+                onClick={() => onBuy(reward)}
+              >
+                {format.money(reward.price)}
+              </Button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { ChevronLeft, Pencil, Trash2, Plus, ToggleLeft, ToggleRight } from 'lucide-react';
+import { Button } from './ui';
+import { getActiveHabits } from './habits';
+import { normalizeRule, describeRule } from './rules';
+import { useFormat } from './format';
+
+const EMPTY_DRAFT = { name: '', type: 'minimum', habitId: null, count: 1, penaltyHabitId: null, amount: 50, enabled: true };
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+const RuleForm = ({ initial, habits, onSave, onCancel }) => {
+  const format = useFormat();
+  const earningHabits = getActiveHabits(habits, 'earning');
+  const penaltyHabits = getActiveHabits(habits, 'penalty');
+  const [draft, setDraft] = useState({ ...initial, habitId: initial.habitId || earningHabits[0]?.id || null });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const unit = habits.find(h => h.id === draft.habitId)?.unit;
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Rule' : 'New Rule'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          onSave(normalizeRule(draft));
+        }}>
+          <input
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+            autoFocus
+            placeholder="Rule name..."
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Fires when</label>
+          <div className="flex gap-2 mb-4">
+            {[['minimum', 'Habit missed'], ['penalties', 'Too many penalties']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => update('type', value)}
+                className={`flex-1 py-2 text-center border rounded-lg text-sm font-medium transition-all ${draft.type === value ? 'bg-teal-50 border-teal-500 text-teal-700' : 'border-slate-200 text-slate-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {draft.type === 'minimum' && (
+            <select
+              value={draft.habitId || ''}
+              onChange={(e) => update('habitId', e.target.value)}
+              className={`${inputClass} mb-4`}
+              required
+            >
+              {earningHabits.map(h => <option key={h.id} value={h.id}>{h.label}</option>)}
+            </select>
+          )}
+
+          <label className={labelClass}>
+            {draft.type === 'minimum' ? `Logged less than${unit ? ` (${unit})` : ''}` : 'Penalties in a day (at least)'}
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={draft.count}
+            onChange={(e) => update('count', e.target.value)}
+            className={`${inputClass} mb-4`}
+          />
+
+          <label className={labelClass}>Then charge</label>
+          <select
+            value={draft.penaltyHabitId || ''}
+            onChange={(e) => update('penaltyHabitId', e.target.value || null)}
+            className={`${inputClass} mb-4`}
+          >
+            <option value="">A fixed amount</option>
+            {penaltyHabits.map(h => <option key={h.id} value={h.id}>{h.label} ({format.signed(-Math.abs(h.amount))})</option>)}
+          </select>
+
+          {!draft.penaltyHabitId && (
+            <div className="relative mb-4">
+              <span className="absolute left-3 top-3 text-slate-400">{format.symbol}</span>
+              <input
+                type="number"
+                min="0"
+                value={draft.amount}
+                onChange={(e) => update('amount', e.target.value)}
+                className={`${inputClass} pl-8`}
+                required
+              />
+            </div>
+          )}
+
+          <div className="flex gap-3 mt-2">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">Save</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default function RuleManager({ rules, habits, onChange, onBack }) {
+  const format = useFormat();
+  const [editing, setEditing] = useState(null);
+
+  const saveRule = (rule) => {
+    const exists = rules.some(r => r.id === rule.id);
+    onChange(exists ? rules.map(r => r.id === rule.id ? rule : r) : [...rules, rule]);
+    setEditing(null);
+  };
+
+  const toggleRule = (rule) => {
+    onChange(rules.map(r => r.id === rule.id ? { ...r, enabled: !r.enabled } : r));
+  };
+
+  const deleteRule = (rule) => {
+    if (!window.confirm(`Delete "${rule.name}"? Penalties it already charged stay in history.`)) return;
+    onChange(rules.filter(r => r.id !== rule.id));
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+          <h2 className="text-xl font-bold text-slate-800">Penalty Rules</h2>
+        </div>
+        <button onClick={() => setEditing(EMPTY_DRAFT)} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+          <Plus size={20} />
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-400 px-2">
+        Each finished day is checked once against the enabled rules. Fines they charge are marked Auto and can be voided like any log.
+      </p>
+
+      <div className="space-y-2">
+        {rules.length === 0 && (
+          <div className="text-center py-8 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            No rules yet.
+          </div>
+        )}
+        {rules.map(rule => (
+          <div key={rule.id} className={`flex items-center justify-between bg-surface p-3 rounded-xl border border-slate-100 ${rule.enabled ? '' : 'opacity-60'}`}>
+            <div className="flex items-center gap-3 min-w-0">
+              <button
+                onClick={() => toggleRule(rule)}
+                className={`p-2 rounded-lg ${rule.enabled ? 'text-teal-600 bg-teal-50' : 'text-slate-400 bg-slate-100'}`}
+              >
+                {rule.enabled ? <ToggleRight size={18} /> : <ToggleLeft size={18} />}
+              </button>
+              <div className="min-w-0">
+                <div className="text-sm font-semibold text-slate-700 truncate">{rule.name}</div>
+                <div className="text-xs text-slate-400">{describeRule(rule, habits, format)}</div>
+              </div>
+            </div>
+            <div className="flex items-center text-slate-400">
+              <button onClick={() => setEditing(rule)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+              <button onClick={() => deleteRule(rule)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <RuleForm
+          key={editing.id || 'new'}
+          initial={editing}
+          habits={habits}
+          onSave={saveRule}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
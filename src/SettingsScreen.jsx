@@ -0,0 +1,221 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight, Gavel } from 'lucide-react';
+import { Card } from './ui';
+import { getTimeZones } from './dates';
+import { CURRENCIES, LOCALES, HOUR_CYCLES, describeCurrency, describeLocale, useFormat } from './format';
+import { THEME_MODES } from './theme';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// A fixed moment for the format preview: 18:45 UTC on 31 Jan 2025
+const PREVIEW_TIMESTAMP = Date.UTC(2025, 0, 31, 18, 45);
+
+const selectClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:border-teal-500";
+
+const NumberField = ({ label, hint, value, onChange, min = 0, step = 1 }) => (
+  <div>
+    <label className="block text-sm font-semibold text-slate-700 mb-1">{label}</label>
+    {hint && <p className="text-xs text-slate-400 mb-2">{hint}</p>}
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const next = Number(e.target.value);
+        if (e.target.value !== '' && Number.isFinite(next) && next >= min) onChange(next);
+      }}
+      className={selectClass}
+    />
+  </div>
+);
+
+export default function SettingsScreen({ preferences, activeRules, onChange, onOpenRules, onBack }) {
+  const update = (field, value) => onChange({ ...preferences, [field]: value });
+  const updateGroup = (group, field, value) => update(group, { ...preferences[group], [field]: value });
+  const timeZones = getTimeZones();
+  const format = useFormat();
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex items-center gap-2 px-2">
+        <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+        <h2 className="text-xl font-bold text-slate-800">Settings</h2>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Display</h3>
+        <Card className="space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-2">Theme</label>
+            <div className="flex bg-slate-100 rounded-lg p-0.5 text-xs font-bold">
+              {THEME_MODES.map(mode => (
+                <button
+                  key={mode.id}
+                  onClick={() => update('theme', mode.id)}
+                  className={`flex-1 py-2 rounded-md ${preferences.theme === mode.id ? 'bg-surface text-slate-700 shadow-sm' : 'text-slate-400'}`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-1">Currency</label>
+            <select value={preferences.currency} onChange={(e) => update('currency', e.target.value)} className={selectClass}>
+              {!CURRENCIES.includes(preferences.currency) && (
+                <option value={preferences.currency}>{preferences.currency}</option>
+              )}
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>{describeCurrency(currency, preferences.locale)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-1">Number and date format</label>
+            <select value={preferences.locale} onChange={(e) => update('locale', e.target.value)} className={selectClass}>
+              {!LOCALES.includes(preferences.locale) && (
+                <option value={preferences.locale}>{describeLocale(preferences.locale)}</option>
+              )}
+              {LOCALES.map(locale => (
+                <option key={locale} value={locale}>{describeLocale(locale)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-1">Clock</label>
+            <select value={preferences.hourCycle} onChange={(e) => update('hourCycle', e.target.value)} className={selectClass}>
+              {HOUR_CYCLES.map(cycle => (
+                <option key={cycle.id} value={cycle.id}>{cycle.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <p className="text-xs text-slate-400">
+            Preview: {format.signed(1250)} · {format.money(-40)} · {format.dateTime(PREVIEW_TIMESTAMP)}
+          </p>
+        </Card>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Days</h3>
+        <Card className="space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-1">Day starts at</label>
+            <p className="text-xs text-slate-400 mb-2">Logs before this hour count toward the previous day.</p>
+            <select
+              value={preferences.dayStartHour}
+              onChange={(e) => update('dayStartHour', Number(e.target.value))}
+              className={selectClass}
+            >
+              {HOURS.map(hour => (
+                <option key={hour} value={hour}>{format.clock(`${String(hour).padStart(2, '0')}:00`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-1">Time zone</label>
+            <p className="text-xs text-slate-400 mb-2">Used to decide which day every log belongs to.</p>
+            <select
+              value={preferences.timeZone}
+              onChange={(e) => update('timeZone', e.target.value)}
+              className={selectClass}
+            >
+              {!timeZones.includes(preferences.timeZone) && (
+                <option value={preferences.timeZone}>{preferences.timeZone}</option>
+              )}
+              {timeZones.map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </div>
+        </Card>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Streaks</h3>
+        <Card className="space-y-4">
+          <NumberField
+            label="Earnings needed per day"
+            hint="Minimum positive logs for a day to count toward your streak."
+            min={1}
+            value={preferences.streakRule.minEarnings}
+            onChange={(value) => updateGroup('streakRule', 'minEarnings', value)}
+          />
+          <NumberField
+            label="Penalties allowed per day"
+            hint="A day with more penalties than this breaks the streak."
+            value={preferences.streakRule.maxPenalties}
+            onChange={(value) => updateGroup('streakRule', 'maxPenalties', value)}
+          />
+        </Card>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Rules</h3>
+        <button
+          onClick={onOpenRules}
+          className="w-full flex justify-between items-center bg-surface p-4 rounded-xl border border-slate-100 active:scale-[0.98] transition-transform"
+        >
+          <div className="flex gap-3 items-center">
+            <div className="p-2 bg-orange-50 text-orange-500 rounded-lg"><Gavel size={18} /></div>
+            <div className="text-left">
+              <div className="font-bold text-slate-800 text-sm">Penalty rules</div>
+              <div className="text-xs text-slate-500">{activeRules} active · checked when a day ends</div>
+            </div>
+          </div>
+          <ChevronRight size={18} className="text-slate-400" />
+        </button>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Levels</h3>
+        <Card className="space-y-4">
+          <NumberField
+            label="XP for Level 2"
+            hint="XP is your lifetime earnings."
+            min={1}
+            value={preferences.levelCurve.base}
+            onChange={(value) => updateGroup('levelCurve', 'base', value)}
+          />
+          <NumberField
+            label="Growth per level"
+            hint="Each level costs this many times the previous one."
+            min={1}
+            step={0.1}
+            value={preferences.levelCurve.growth}
+            onChange={(value) => updateGroup('levelCurve', 'growth', value)}
+          />
+        </Card>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">History</h3>
+        <Card>
+          <NumberField
+            label="Undo window (minutes)"
+            hint="Older logs ask for confirmation before they are voided."
+            value={preferences.undoWindowMinutes}
+            onChange={(value) => update('undoWindowMinutes', value)}
+          />
+        </Card>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3 px-2">Shop</h3>
+        <Card>
+          <NumberField
+            label={`Spending reserve (${format.symbol})`}
+            hint="Warn before a reward purchase that would leave less than this."
+            value={preferences.spendingReserve}
+            onChange={(value) => update('spendingReserve', value)}
+          />
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useState, useMemo } from 'react';
+import { NotebookPen } from 'lucide-react';
+import { Card } from './ui';
+import { useFormat } from './format';
+import { LineChart, BarChart, Heatmap } from './charts';
+import {
+  RANGE_PRESETS,
+  getPresetRange,
+  getBalanceSeries,
+  getPeriodTotals,
+  getHabitHeatmap,
+  getPenaltyRanking
+} from './analytics';
+
+const SectionTitle = ({ children, action }) => (
+  <div className="flex justify-between items-center mb-3 px-2">
+    <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{children}</h3>
+    {action}
+  </div>
+);
+
+export default function StatsScreen({ events, ledger, habits, todayKey, preferences, onOpenReviews }) {
+  const [presetId, setPresetId] = useState('30d');
+  const [customRange, setCustomRange] = useState(null);
+  const [period, setPeriod] = useState('week');
+  const [heatmapHabitId, setHeatmapHabitId] = useState(null);
+  const format = useFormat();
+
+  const firstDay = useMemo(() => [...ledger.days.keys()].sort()[0], [ledger]);
+  const range = useMemo(() => {
+    const preset = RANGE_PRESETS.find(p => p.id === presetId);
+    return customRange || getPresetRange(preset, todayKey, firstDay);
+  }, [customRange, presetId, todayKey, firstDay]);
+
+  const trackedHabits = useMemo(() => habits.filter(h => h.category === 'earning' && !h.archived), [habits]);
+  const habitId = heatmapHabitId || trackedHabits[0]?.id;
+
+  const balanceSeries = useMemo(() => getBalanceSeries(ledger, range), [ledger, range]);
+  const periodTotals = useMemo(() => getPeriodTotals(ledger, range, period), [ledger, range, period]);
+  const heatmap = useMemo(
+    () => habitId ? getHabitHeatmap(events, habitId, range, preferences) : [],
+    [events, habitId, range, preferences]
+  );
+  const penaltyRanking = useMemo(
+    () => getPenaltyRanking(events, range, preferences),
+    [events, range, preferences]
+  );
+  const worstPenalty = penaltyRanking[0]?.total || 1;
+
+  // Dates outside the ledger (before its first day or after today) are ignored
+  // rather than stored, so a typed-in year can't stretch the charts over centuries
+  const earliestDay = firstDay && firstDay < todayKey ? firstDay : todayKey;
+  const updateCustom = (field, value) => {
+    if (!value) return;
+    const next = { ...range, [field]: value };
+    if (next.from > next.to) return;
+    if (field === 'from' ? value < earliestDay : value > todayKey) return;
+    setCustomRange(next);
+  };
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex justify-between items-center px-2">
+        <h2 className="text-xl font-bold text-slate-800">Stats</h2>
+        <button onClick={onOpenReviews} className="flex items-center gap-1 px-3 py-1.5 bg-teal-50 text-teal-700 rounded-lg text-xs font-bold">
+          <NotebookPen size={14} /> Reviews
+        </button>
+      </div>
+
+      {/* Range Picker */}
+      <div className="space-y-3">
+        <div className="flex gap-2">
+          {RANGE_PRESETS.map(p => (
+            <button
+              key={p.id}
+              onClick={() => { setPresetId(p.id); setCustomRange(null); }}
+              className={`flex-1 py-2 rounded-lg text-xs font-bold transition-all ${!customRange && presetId === p.id ? 'bg-teal-50 text-teal-700 border border-teal-500' : 'bg-surface border border-slate-200 text-slate-500'}`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2 text-xs text-slate-500">
+          <input
+            type="date"
+            value={range.from}
+            min={earliestDay}
+            max={range.to}
+            onChange={(e) => updateCustom('from', e.target.value)}
+            className={`flex-1 p-2 bg-surface border rounded-lg focus:outline-none focus:border-teal-500 ${customRange ? 'border-teal-500' : 'border-slate-200'}`}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            max={todayKey}
+            onChange={(e) => updateCustom('to', e.target.value)}
+            className={`flex-1 p-2 bg-surface border rounded-lg focus:outline-none focus:border-teal-500 ${customRange ? 'border-teal-500' : 'border-slate-200'}`}
+          />
+        </div>
+      </div>
+
+      <div>
+        <SectionTitle>Balance over time</SectionTitle>
+        <Card>
+          <LineChart points={balanceSeries} />
+        </Card>
+      </div>
+
+      <div>
+        <SectionTitle
+          action={
+            <div className="flex bg-slate-100 rounded-lg p-0.5 text-[10px] font-bold">
+              {['week', 'month'].map(p => (
+                <button
+                  key={p}
+                  onClick={() => setPeriod(p)}
+                  className={`px-2 py-1 rounded-md uppercase ${period === p ? 'bg-surface text-slate-700 shadow-sm' : 'text-slate-400'}`}
+                >
+                  {p}ly
+                </button>
+              ))}
+            </div>
+          }
+        >
+          Earned vs fined
+        </SectionTitle>
+        <Card>
+          <BarChart groups={periodTotals} formatLabel={(key) => format.day(key, period === 'month' ? 'month' : 'short')} />
+          <div className="flex gap-4 justify-center mt-3 text-[10px] font-medium text-slate-500">
+            <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-green-600"></span>Earned</span>
+            <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-orange-500"></span>Fined</span>
+          </div>
+        </Card>
+      </div>
+
+      <div>
+        <SectionTitle>Habit consistency</SectionTitle>
+        <Card className="space-y-3">
+          <select
+            value={habitId || ''}
+            onChange={(e) => setHeatmapHabitId(e.target.value)}
+            className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-teal-500"
+          >
+            {trackedHabits.map(h => <option key={h.id} value={h.id}>{h.label}</option>)}
+          </select>
+          <Heatmap cells={heatmap} />
+          <div className="text-xs text-slate-400">
+            Logged on {heatmap.filter(c => c.count > 0).length} of {heatmap.length} days
+          </div>
+        </Card>
+      </div>
+
+      <div>
+        <SectionTitle>Costliest penalties</SectionTitle>
+        <Card className="space-y-3">
+          {penaltyRanking.length === 0 ? (
+            <div className="text-center py-4 text-xs text-slate-400">No penalties in this range. Clean run.</div>
+          ) : (
+            penaltyRanking.map((entry, i) => (
+              <div key={entry.key}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-slate-700">{i + 1}. {entry.label}</span>
+                  <span className="font-bold text-orange-600">{format.signed(-entry.total)}</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="flex-1 h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-orange-400 rounded-full" style={{ width: `${(entry.total / worstPenalty) * 100}%` }}></div>
+                  </div>
+                  <span className="text-[10px] text-slate-400 w-8 text-right">×{entry.count}</span>
+                </div>
+              </div>
+            ))
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+}
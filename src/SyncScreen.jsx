@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { ChevronLeft, RefreshCw } from 'lucide-react';
+import { Button, Card } from './ui';
+import { SYNC_SPACE_PATTERN, SYNC_STATUS_LABELS, isSyncReady } from './sync';
+import { useFormat } from './format';
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+export default function SyncScreen({ sync, status, onSave, onSyncNow, onBack }) {
+  const format = useFormat();
+  const [draft, setDraft] = useState({ endpoint: sync.endpoint, space: sync.space, token: sync.token });
+  const [error, setError] = useState(null);
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const ready = isSyncReady(sync);
+  const changed = draft.endpoint !== sync.endpoint || draft.space !== sync.space || draft.token !== sync.token;
+
+  return (
+    <div className="pb-24 animate-fade-in space-y-6">
+      <div className="flex items-center gap-2 px-2">
+        <button onClick={onBack} className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500"><ChevronLeft size={20} /></button>
+        <h2 className="text-xl font-bold text-slate-800">Sync</h2>
+      </div>
+
+      {ready && (
+        <Card className="space-y-3">
+          <div className="flex justify-between items-center">
+            <div>
+              <div className={`text-sm font-bold ${status.state === 'error' ? 'text-orange-600' : 'text-slate-800'}`}>
+                {SYNC_STATUS_LABELS[status.state]}
+              </div>
+              <div className="text-xs text-slate-400">
+                {sync.lastSyncedAt ? `Last synced ${format.dateTime(sync.lastSyncedAt)}` : 'Not synced yet'}
+                {sync.queue.length > 0 && ` · ${sync.queue.length} change${sync.queue.length === 1 ? '' : 's'} waiting`}
+              </div>
+            </div>
+            <button
+              onClick={onSyncNow}
+              disabled={status.state === 'syncing'}
+              className="p-2 bg-teal-50 text-teal-600 rounded-lg disabled:opacity-50"
+            >
+              <RefreshCw size={18} className={status.state === 'syncing' ? 'animate-spin' : ''} />
+            </button>
+          </div>
+          {status.state === 'error' && status.message && (
+            <div className="p-3 bg-orange-50 text-orange-700 text-xs rounded-lg">{status.message}</div>
+          )}
+        </Card>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          const space = draft.space.trim();
+          if (!SYNC_SPACE_PATTERN.test(space)) {
+            setError('Space names use letters, numbers, dots, dashes and underscores (up to 64).');
+            return;
+          }
+          setError(null);
+          onSave({ ...draft, endpoint: draft.endpoint.trim(), space, enabled: true });
+        }}
+      >
+        <Card className="space-y-4">
+          <p className="text-xs text-slate-500">
+            Keep this profile in step across devices through your own server. Run <code className="px-1 bg-slate-100 rounded">npm run sync-server</code> for
+            the reference one, then use the same space name on every device.
+          </p>
+          <div>
+            <label className={labelClass}>Server URL</label>
+            <input
+              type="url"
+              value={draft.endpoint}
+              onChange={(e) => update('endpoint', e.target.value)}
+              placeholder="http://localhost:8787"
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Space</label>
+            <input
+              value={draft.space}
+              onChange={(e) => update('space', e.target.value)}
+              placeholder="my-ledger"
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Access token (optional)</label>
+            <input
+              type="password"
+              value={draft.token}
+              onChange={(e) => update('token', e.target.value)}
+              autoComplete="off"
+              className={inputClass}
+            />
+          </div>
+
+          {error && <div className="p-3 bg-orange-50 text-orange-700 text-xs rounded-lg">{error}</div>}
+
+          <div className="flex gap-3">
+            {ready && (
+              <Button type="button" variant="ghost" className="flex-1 py-3" onClick={() => onSave({ ...sync, enabled: false })}>
+                Turn off
+              </Button>
+            )}
+            <Button type="submit" className="flex-1 py-3 disabled:opacity-50" disabled={ready && !changed}>
+              {ready ? 'Save' : 'Turn on sync'}
+            </Button>
+          </div>
+        </Card>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Button } from './ui';
+import { useFormat } from './format';
+
+const inputClass = "w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:border-teal-500";
+const labelClass = "block text-xs font-bold text-slate-400 uppercase mb-2";
+
+export default function TaskForm({ initial, onSave, onCancel }) {
+  const format = useFormat();
+  const [draft, setDraft] = useState({
+    title: initial.title || '',
+    reward: initial.reward ?? 50,
+    dueDate: initial.dueDate || '',
+    repeat: initial.recurrence?.type || 'none',
+    every: initial.recurrence?.every || 2,
+    overduePenalty: initial.overduePenalty || 0,
+  });
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="absolute inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-fade-in">
+      <div className="bg-surface w-full max-w-sm rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800 mb-4">{initial.id ? 'Edit Mission' : 'New Mission'}</h3>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          onSave({
+            ...initial,
+            title: draft.title,
+            reward: draft.reward,
+            dueDate: draft.dueDate || null,
+            recurrence: draft.repeat === 'none' ? null : { type: draft.repeat, every: draft.every },
+            overduePenalty: draft.overduePenalty,
+          });
+        }}>
+          <input
+            value={draft.title}
+            onChange={(e) => update('title', e.target.value)}
+            autoFocus
+            placeholder="Task title..."
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Reward ({format.symbol})</label>
+          <div className="flex gap-2 mb-2">
+            {[50, 80, 100].map(amt => (
+              <button
+                key={amt}
+                type="button"
+                onClick={() => update('reward', amt)}
+                className={`flex-1 py-2 text-center border rounded-lg text-sm font-medium transition-all ${Number(draft.reward) === amt ? 'bg-teal-50 border-teal-500 text-teal-700' : 'border-slate-200 text-slate-600'}`}
+              >
+                {format.money(amt)}
+              </button>
+            ))}
+          </div>
+          <input
+            type="number"
+            min="0"
+            value={draft.reward}
+            onChange={(e) => update('reward', e.target.value)}
+            className={`${inputClass} mb-4`}
+            required
+          />
+
+          <label className={labelClass}>Due date</label>
+          <input
+            type="date"
+            value={draft.dueDate}
+            onChange={(e) => update('dueDate', e.target.value)}
+            className={`${inputClass} mb-4`}
+          />
+
+          <label className={labelClass}>Repeat</label>
+          <div className="flex gap-2 mb-4">
+            <select value={draft.repeat} onChange={(e) => update('repeat', e.target.value)} className={inputClass}>
+              <option value="none">Never</option>
+              <option value="daily">Daily</option>
+              <option value="weekdays">Weekdays</option>
+              <option value="interval">Every N days</option>
+            </select>
+            {draft.repeat === 'interval' && (
+              <input
+                type="number"
+                min="1"
+                value={draft.every}
+                onChange={(e) => update('every', e.target.value)}
+                className={`${inputClass} w-24`}
+              />
+            )}
+          </div>
+
+          <label className={labelClass}>Overdue penalty ({format.symbol}, 0 = none)</label>
+          <input
+            type="number"
+            min="0"
+            value={draft.overduePenalty}
+            onChange={(e) => update('overduePenalty', e.target.value)}
+            className={`${inputClass} mb-6`}
+          />
+
+          <div className="flex gap-3">
+            <Button type="button" variant="ghost" className="flex-1" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="flex-1">{initial.id ? 'Save' : 'Add Task'}</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useState, useRef, useImperativeHandle } from 'react';
+import { TrendingUp, ShieldAlert, Zap } from 'lucide-react';
+
+// The toast banner. It keeps its own state and is driven through `ref.current.show()`,
+// so a toast after every log does not re-render the screens around it.
+export default function Toast({ ref }) {
+  const [toast, setToast] = useState(null);
+  const timerRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    // `action` is an optional `{ label, onClick }` button, e.g. Undo; those toasts stay up longer
+    show: (type, message, action = null) => {
+      setToast({ type, message, action });
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => setToast(null), action ? 5000 : 3000);
+    },
+  }), []);
+
+  if (!toast) return null;
+
+  return (
+    <div className={`absolute top-4 left-4 right-4 z-50 p-4 rounded-xl shadow-lg flex items-center gap-3 animate-slide-down ${
+      toast.type === 'success' ? 'bg-success text-white' :
+      toast.type === 'warning' ? 'bg-warning text-white' : 'bg-ink text-surface'
+    }`}>
+      {toast.type === 'success' ? <TrendingUp size={20} /> : toast.type === 'warning' ? <ShieldAlert size={20} /> : <Zap size={20}/>}
+      <span className="font-medium text-sm flex-1">{toast.message}</span>
+      {toast.action && (
+        <button
+          onClick={() => { setToast(null); toast.action.onClick(); }}
+          className="px-3 py-1 rounded-lg bg-surface/20 text-sm font-bold"
+        >
+          {toast.action.label}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { CheckSquare, Plus, Trash2, ChevronRight, Pencil, Check, RotateCcw } from 'lucide-react';
+import { shiftDay } from './dates';
+import { isOverdue, describeRecurrence, sortTasks } from './tasks';
+import { useFormat } from './format';
+import { useSelector, useTodayKey } from './storeContext';
+
+const TaskRow = ({ task, todayKey, onComplete, onRevert, onEdit, onDelete }) => {
+  const format = useFormat();
+  const overdue = isOverdue(task, todayKey);
+  const recurrence = describeRecurrence(task.recurrence);
+  const due = task.dueDate === shiftDay(todayKey, 1) ? 'Tomorrow' : task.dueDate && format.dayLabel(task.dueDate, todayKey);
+
+  return (
+    <div className={`group relative bg-surface rounded-xl shadow-sm border overflow-hidden ${overdue ? 'border-orange-200' : 'border-slate-100'}`}>
+      <div className="p-4 flex justify-between items-center z-10 relative bg-surface transition-transform transform translate-x-0">
+        <div className="flex items-center gap-3 min-w-0">
+          <button
+            onClick={() => task.completed ? onRevert(task.id) : onComplete(task.id)}
+            className={`w-6 h-6 shrink-0 rounded-md border-2 flex items-center justify-center ${task.completed ? 'bg-primary border-primary text-white' : 'border-slate-300 group-hover:border-teal-400'}`}
+          >
+            {task.completed && <Check size={14} strokeWidth={3} />}
+          </button>
+          <div className="min-w-0">
+            <p className={`font-medium truncate ${task.completed ? 'text-slate-400 line-through' : 'text-slate-800'}`}>{task.title}</p>
+            <div className="flex flex-wrap gap-1 mt-1">
+              <span className="text-xs text-green-600 font-medium bg-green-50 px-2 py-0.5 rounded">
+                Reward: {format.money(task.reward)}
+              </span>
+              {task.dueDate && !task.completed && (
+                <span className={`text-xs font-medium px-2 py-0.5 rounded ${overdue ? 'text-orange-600 bg-orange-50' : 'text-slate-500 bg-slate-100'}`}>
+                  {overdue ? 'Overdue' : 'Due'} {due}
+                </span>
+              )}
+              {recurrence && (
+                <span className="text-xs text-teal-600 font-medium bg-teal-50 px-2 py-0.5 rounded">{recurrence}</span>
+              )}
+              {task.overduePenalty > 0 && !task.completed && (
+                <span className="text-xs text-orange-500 font-medium bg-orange-50 px-2 py-0.5 rounded">Late: {format.signed(-task.overduePenalty)}</span>
+              )}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center text-slate-300 shrink-0">
+          {task.completed ? (
+            <button onClick={() => onRevert(task.id)} className="p-1 hover:text-slate-600"><RotateCcw size={16} /></button>
+          ) : (
+            <>
+              <button onClick={() => onEdit(task)} className="p-1 hover:text-teal-600"><Pencil size={16} /></button>
+              <button onClick={() => onDelete(task)} className="p-1 hover:text-red-400"><Trash2 size={16} /></button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Missions list; `onEdit({})` opens the form for a new one.
+export default function TodoScreen({ onComplete, onRevert, onEdit, onDelete }) {
+  const tasks = useSelector(state => state.tasks);
+  const todayKey = useTodayKey();
+  const [showCompleted, setShowCompleted] = useState(false);
+  const { active: activeTasks, completed: completedTasks } = sortTasks(tasks);
+
+  const renderRow = (task) => (
+    <TaskRow
+      key={task.id}
+      task={task}
+      todayKey={todayKey}
+      onComplete={onComplete}
+      onRevert={onRevert}
+      onEdit={onEdit}
+      onDelete={onDelete}
+    />
+  );
+
+  return (
+    <div className="pb-24 animate-fade-in h-full flex flex-col">
+      <div className="flex justify-between items-center mb-6 px-2">
+         <h2 className="text-xl font-bold text-slate-800">Todays Missions</h2>
+         <button onClick={() => onEdit({})} className="p-2 bg-teal-50 text-teal-600 rounded-lg">
+           <Plus size={20} />
+         </button>
+      </div>
+
+      <div className="space-y-3 flex-1 overflow-y-auto">
+        {activeTasks.length === 0 ? (
+           <div className="flex flex-col items-center justify-center h-64 text-slate-400">
+             <CheckSquare size={48} className="mb-4 opacity-20" />
+             <p>All clear. Great work.</p>
+           </div>
+        ) : (
+          activeTasks.map(renderRow)
+        )}
+
+        {completedTasks.length > 0 && (
+          <div className="pt-4">
+            <button
+              onClick={() => setShowCompleted(prev => !prev)}
+              className="w-full flex justify-between items-center px-2 mb-3 text-xs font-bold text-slate-400 uppercase tracking-wider"
+            >
+              <span>Completed ({completedTasks.length})</span>
+              <ChevronRight size={16} className={`transition-transform ${showCompleted ? 'rotate-90' : ''}`} />
+            </button>
+            {showCompleted && (
+              <div className="space-y-3">
+                {completedTasks.map(renderRow)}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Shown when a new build has been downloaded by the service worker. The update only
+// takes over once the user agrees, so nothing reloads mid-log.
+export default function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisterError: (err) => console.error('Service worker registration failed', err),
+  });
+
+  if (!needRefresh) return null;
+
+  return (
+    <div className="absolute bottom-24 left-4 right-4 z-40 p-4 rounded-xl shadow-lg bg-ink text-surface flex items-center gap-3 animate-slide-down">
+      <RotateCcw size={20} />
+      <span className="font-medium text-sm flex-1">A new version is ready.</span>
+      <button onClick={() => setNeedRefresh(false)} className="px-3 py-1 rounded-lg text-sm text-slate-300">Later</button>
+      <button onClick={() => updateServiceWorker(true)} className="px-3 py-1 rounded-lg bg-surface/20 text-sm font-bold">Reload</button>
+    </div>
+  );
+}
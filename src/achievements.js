@@ -0,0 +1,127 @@
+import { getDayKey, shiftDay } from './dates';
+import { SPENDING_CATEGORIES, getEventCategory } from './ledger';
+
+// --- Achievements ---
+// A declarative catalog of long-term milestones. Each achievement measures one number
+// from its `source` (see selectAchievementValues in selectors.js) and reaches a tier
+// each time that number passes the next threshold in `tiers`. Achievements are only
+// measured again when their source changes, so logging an event leaves mission
+// badges alone and completing a mission leaves the ledger badges alone.
+//
+// Unlocks are stored per achievement as `{ tier, unlockedAt: [<iso per tier>] }` and
+// are kept for good: undoing a log lowers the progress shown, never a badge earned.
+//
+// Sources: events (active only), tasks, challenges, ledger (see ledger.js) and
+// progression (see progression.js).
+
+export const TIER_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum'];
+
+const isFine = (event) => event.amount < 0 && !SPENDING_CATEGORIES.includes(getEventCategory(event));
+
+// Longest run of consecutive finished days that each earned something and had no
+// fine. A day without any earning breaks the run, so time away never counts as clean.
+const getLongestCleanRun = (events, { todayKey, dayOptions }) => {
+  const getDay = (event) => getDayKey(event.timestamp, dayOptions);
+  const activeDays = new Set(events.filter(e => e.amount > 0).map(getDay));
+  const finedDays = new Set(events.filter(isFine).map(getDay));
+  if (activeDays.size === 0) return 0;
+  let best = 0;
+  let run = 0;
+  for (let day = [...activeDays].sort()[0]; day < todayKey; day = shiftDay(day, 1)) {
+    run = activeDays.has(day) && !finedDays.has(day) ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+};
+
+// `describe(target, format)` says what the tier with threshold `target` asks for;
+// `money` marks values that are amounts rather than counts
+export const ACHIEVEMENTS = [
+  {
+    id: 'earner',
+    name: 'Big Earner',
+    icon: 'TrendingUp',
+    source: 'ledger',
+    money: true,
+    tiers: [1000, 5000, 25000, 100000],
+    measure: (ledger) => ledger.earned,
+    describe: (target, format) => `Earn ${format.money(target)} in total`,
+  },
+  {
+    id: 'hydrated',
+    name: 'Hydrated',
+    icon: 'Droplet',
+    source: 'events',
+    tiers: [10, 30, 100, 365],
+    measure: (events) => events.filter(e => e.habitId === 'water').length,
+    describe: (target) => `Log water ${target} times`,
+  },
+  {
+    id: 'clean-slate',
+    name: 'Clean Slate',
+    icon: 'ShieldAlert',
+    source: 'events',
+    tiers: [7, 30, 100],
+    measure: getLongestCleanRun,
+    describe: (target) => `Earn on ${target} days in a row without a penalty`,
+  },
+  {
+    id: 'missions',
+    name: 'Mission Control',
+    icon: 'CheckSquare',
+    source: 'tasks',
+    tiers: [1, 10, 50, 200],
+    measure: (tasks) => tasks.filter(t => t.completed).length,
+    describe: (target) => (target === 1 ? 'Complete a mission' : `Complete ${target} missions`),
+  },
+  {
+    id: 'on-a-roll',
+    name: 'On a Roll',
+    icon: 'Zap',
+    source: 'progression',
+    tiers: [3, 7, 30, 100],
+    measure: (progression) => progression.streak.best,
+    describe: (target) => `Keep a ${target}-day streak`,
+  },
+  {
+    id: 'challenger',
+    name: 'Challenger',
+    icon: 'Trophy',
+    source: 'challenges',
+    tiers: [1, 5, 20],
+    measure: (challenges) => challenges.filter(c => c.outcome === 'won').length,
+    describe: (target) => (target === 1 ? 'Win a challenge' : `Win ${target} challenges`),
+  },
+];
+
+// `{ tier, next, ratio }` for an achievement at `value`: tiers unlocked (0 for none),
+// the next threshold (null once all are unlocked) and progress toward it.
+export const getAchievementStatus = (achievement, value, record) => {
+  const tier = Math.max(achievement.tiers.filter(t => value >= t).length, record?.tier || 0);
+  const next = achievement.tiers[tier] ?? null;
+  return { tier, next, ratio: next === null ? 1 : Math.min(value / next, 1) };
+};
+
+// Tiers reached but not yet recorded, as `[{ achievement, tier }]` with the highest
+// tier per achievement. `values` maps achievement ids to their measured value.
+export const findUnlocks = (values, unlocked) => ACHIEVEMENTS
+  .map(achievement => ({ achievement, tier: achievement.tiers.filter(t => values.get(achievement.id) >= t).length }))
+  .filter(({ achievement, tier }) => tier > (unlocked?.[achievement.id]?.tier || 0));
+
+// Keeps the well-formed unlock records of a stored, synced or imported row; null when
+// there is none (achievements were never checked)
+export const normalizeAchievements = (unlocked) => {
+  if (!unlocked || typeof unlocked !== 'object' || Array.isArray(unlocked)) return null;
+  return Object.fromEntries(Object.entries(unlocked).filter(([, record]) =>
+    Number.isInteger(record?.tier) && Array.isArray(record.unlockedAt)
+  ));
+};
+
+// Records `[{ id, tier }]` unlocked at `at`; tiers skipped over share the timestamp.
+export const recordUnlocks = (unlocked, unlocks, at) => ({
+  ...unlocked,
+  ...Object.fromEntries(unlocks.map(({ id, tier }) => {
+    const record = unlocked?.[id] || { tier: 0, unlockedAt: [] };
+    return [id, { tier, unlockedAt: [...record.unlockedAt, ...Array(tier - record.tier).fill(at)] }];
+  })),
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { ACHIEVEMENTS, findUnlocks, getAchievementStatus, recordUnlocks } from './achievements';
+import { shiftDay } from './dates';
+
+const cleanSlate = ACHIEVEMENTS.find(a => a.id === 'clean-slate');
+const measureCleanRun = (events, todayKey = '2026-10-19') => cleanSlate.measure(events, { todayKey, dayOptions: {} });
+
+const event = (day, amount, category = amount < 0 ? 'penalty' : 'earning') =>
+  ({ id: `${day}-${amount}`, label: 'x', amount, category, timestamp: `${day}T10:00:00.000Z` });
+
+const earningDays = (from, count) => Array.from({ length: count }, (_, i) => event(shiftDay(from, i), 10));
+
+describe('Clean Slate', () => {
+  it('does not count days without activity', () => {
+    expect(measureCleanRun([event('2026-09-01', 10)])).toBe(1);
+  });
+
+  it('counts consecutive earning days without a fine', () => {
+    expect(measureCleanRun(earningDays('2026-10-01', 10))).toBe(10);
+  });
+
+  it('restarts after a fine or a day off', () => {
+    const events = [
+      ...earningDays('2026-10-01', 3),
+      event('2026-10-03', -20),
+      ...earningDays('2026-10-05', 5),
+    ];
+    expect(measureCleanRun(events)).toBe(5);
+  });
+
+  it('does not treat spending as a fine', () => {
+    const events = [...earningDays('2026-10-01', 7), event('2026-10-04', -50, 'purchase')];
+    expect(measureCleanRun(events)).toBe(7);
+  });
+
+  it('leaves today out until it is finished', () => {
+    expect(measureCleanRun(earningDays('2026-10-17', 3))).toBe(2);
+  });
+});
+
+describe('unlocks', () => {
+  const values = new Map(ACHIEVEMENTS.map(a => [a.id, 0]));
+
+  it('finds tiers reached but not recorded', () => {
+    const reached = new Map(values).set('missions', 12);
+    expect(findUnlocks(reached, null).map(({ achievement, tier }) => [achievement.id, tier])).toEqual([['missions', 2]]);
+    expect(findUnlocks(reached, { missions: { tier: 2, unlockedAt: ['a', 'b'] } })).toEqual([]);
+  });
+
+  it('stamps every tier skipped over', () => {
+    const unlocked = recordUnlocks({ missions: { tier: 1, unlockedAt: ['a'] } }, [{ id: 'missions', tier: 3 }], 'b');
+    expect(unlocked.missions).toEqual({ tier: 3, unlockedAt: ['a', 'b', 'b'] });
+  });
+
+  it('keeps earned tiers when the value drops', () => {
+    const missions = ACHIEVEMENTS.find(a => a.id === 'missions');
+    expect(getAchievementStatus(missions, 0, { tier: 1, unlockedAt: ['a'] })).toEqual({ tier: 1, next: 10, ratio: 0 });
+  });
+});
@@ -0,0 +1,85 @@
+import { getDayKey, getWeekKey, shiftDay } from './dates';
+import { getEventCategory } from './ledger';
+
+// --- Analytics ---
+// Pure aggregations over the ledger for the Stats screen. Ranges are inclusive
+// `{ from, to }` day keys.
+
+export const RANGE_PRESETS = [
+  { id: '7d', label: '7D', days: 7 },
+  { id: '30d', label: '30D', days: 30 },
+  { id: '90d', label: '90D', days: 90 },
+  { id: '1y', label: '1Y', days: 365 },
+  { id: 'all', label: 'All', days: null },
+];
+
+export const getPresetRange = (preset, todayKey, firstDay) => ({
+  from: preset.days ? shiftDay(todayKey, -(preset.days - 1)) : (firstDay || todayKey),
+  to: todayKey,
+});
+
+export const eachDay = (range) => {
+  const days = [];
+  for (let day = range.from; day <= range.to; day = shiftDay(day, 1)) days.push(day);
+  return days;
+};
+
+const inRange = (day, range) => day >= range.from && day <= range.to;
+
+// Closing balance for every day in the range, carrying the last known balance over
+// days without events.
+export const getBalanceSeries = (ledger, range) => {
+  const dates = [...ledger.days.keys()].sort();
+  let index = 0;
+  let balance = 0;
+
+  return eachDay(range).map(day => {
+    while (index < dates.length && dates[index] <= day) {
+      balance = ledger.days.get(dates[index]).closingBalance;
+      index += 1;
+    }
+    return { day, value: balance };
+  });
+};
+
+// Earned vs fined per week (keyed by Monday) or month (YYYY-MM).
+export const getPeriodTotals = (ledger, range, period) => {
+  const buckets = new Map();
+  eachDay(range).forEach(day => {
+    const key = period === 'month' ? day.slice(0, 7) : getWeekKey(day);
+    if (!buckets.has(key)) buckets.set(key, { key, earned: 0, fined: 0 });
+    const snapshot = ledger.days.get(day);
+    if (!snapshot) return;
+    const bucket = buckets.get(key);
+    bucket.earned += snapshot.earned;
+    bucket.fined += snapshot.fined;
+  });
+  return [...buckets.values()];
+};
+
+// Number of logs of one habit per day in the range.
+export const getHabitHeatmap = (events, habitId, range, dayOptions) => {
+  const counts = new Map();
+  events.forEach(event => {
+    if (event.habitId !== habitId) return;
+    const day = getDayKey(event.timestamp, dayOptions);
+    if (inRange(day, range)) counts.set(day, (counts.get(day) || 0) + 1);
+  });
+  return eachDay(range).map(day => ({ day, count: counts.get(day) || 0 }));
+};
+
+// Penalties grouped by habit, most expensive first.
+export const getPenaltyRanking = (events, range, dayOptions) => {
+  const totals = new Map();
+  events.forEach(event => {
+    if (getEventCategory(event) !== 'penalty' || event.amount >= 0) return;
+    if (!inRange(getDayKey(event.timestamp, dayOptions), range)) return;
+
+    const key = event.habitId || event.label;
+    const entry = totals.get(key) || { key, label: event.label, total: 0, count: 0 };
+    entry.total += -event.amount;
+    entry.count += 1;
+    totals.set(key, entry);
+  });
+  return [...totals.values()].sort((a, b) => b.total - a.total);
+};
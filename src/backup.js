@@ -0,0 +1,202 @@
+import { buildLedger, getEventCategory } from './ledger';
+import { isValidEvent, isValidTask } from './storage';
+import { normalizeTask } from './tasks';
+import { normalizeHabit } from './habits';
+import { normalizeReward } from './rewards';
+import { mergePreferences } from './preferences';
+import { normalizeInventory } from './inventory';
+import { PERSISTED_KEYS, SETTING_LOADERS } from './store';
+
+// --- Backup & Restore ---
+// A backup is one versioned JSON document holding everything needed to rebuild the
+// app on another device: every persisted key (see PERSISTED_KEYS in store.js). The
+// balance is never imported: it is re-folded from the events like it is on every load.
+//
+// Version 2 added the settings rows after habits, rewards, inventory and preferences
+// (reminders, rules, goals, challenges, achievements...) and the sync connection.
+
+export const BACKUP_FORMAT = 'delusional-rpg-backup';
+export const BACKUP_VERSION = 2;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Of `sync`, only the connection travels: the device id, cursor and outbox stay here,
+// and the token is never written to a file that gets passed between devices
+const SYNC_BACKUP_FIELDS = ['enabled', 'endpoint', 'space'];
+
+const pickSyncConnection = (sync) => Object.fromEntries(SYNC_BACKUP_FIELDS.map(field => [field, sync[field]]));
+
+// `data` holds every key in PERSISTED_KEYS
+export const createBackup = (data) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...Object.fromEntries(PERSISTED_KEYS.map(key => [key, data[key]])),
+  sync: pickSyncConnection(data.sync),
+});
+
+// --- CSV ---
+
+const CSV_COLUMNS = ['id', 'timestamp', 'label', 'category', 'amount', 'baseAmount', 'quantity', 'unit', 'habitId', 'reverses', 'note'];
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per ledger event, oldest first so running totals read naturally in a spreadsheet.
+export const eventsToCsv = (events) => {
+  const rows = [...events]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map(event => CSV_COLUMNS.map(column =>
+      escapeCsv(column === 'category' ? getEventCategory(event) : event[column])
+    ).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+// --- Parsing ---
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Settings rows from version 2, read like stored rows (see SETTING_LOADERS) once their
+// shape checks out. Missing or malformed rows come back as null and are left alone.
+const LIST_ROWS = ['reminders', 'rules', 'goals', 'challenges'];
+const OBJECT_ROWS = ['reviewNotes', 'achievements'];
+
+const readSettingRow = (key, value) => {
+  if (LIST_ROWS.includes(key)) return Array.isArray(value) ? SETTING_LOADERS[key](value.filter(isPlainObject)) : null;
+  if (OBJECT_ROWS.includes(key)) return isPlainObject(value) ? SETTING_LOADERS[key](value) : null;
+  return typeof value === 'string' && DAY_KEY_PATTERN.test(value) ? value : null;
+};
+
+const readSyncConnection = (sync) => {
+  if (!isPlainObject(sync)) return null;
+  const { enabled, endpoint, space } = sync;
+  const isValid = typeof enabled === 'boolean' && [endpoint, space].every(value => typeof value === 'string');
+  return isValid ? { enabled, endpoint, space } : null;
+};
+
+// A restored connection to the space this device already syncs with keeps its token.
+// Any other comes back switched off without one, for the user to re-enter.
+const restoreSyncConnection = (sync, connection) => {
+  const isCurrent = connection.endpoint === sync.endpoint && connection.space === sync.space;
+  return isCurrent ? sync : { ...sync, ...connection, enabled: false, token: '' };
+};
+
+// Validates a backup file and normalizes its records. Throws an Error with a
+// user-facing message when the file is not a usable backup. Single records that fail
+// validation are dropped and counted in `invalidRecords` instead of failing the file.
+// The raw `delusional_rpg_data` localStorage blob is accepted as a version 0 backup.
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON');
+  }
+  if (!isPlainObject(data)) throw new Error('This file is not a backup');
+
+  const isLegacy = data.format === undefined && Array.isArray(data.events);
+  if (!isLegacy && data.format !== BACKUP_FORMAT) throw new Error('This file is not a backup');
+
+  const version = isLegacy ? 0 : data.version;
+  if (!Number.isInteger(version) || version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app');
+  }
+  if (!Array.isArray(data.events) || (data.tasks !== undefined && !Array.isArray(data.tasks))) {
+    throw new Error('This backup is missing its event ledger');
+  }
+
+  const tasks = data.tasks || [];
+  const events = data.events.filter(isValidEvent);
+  const validTasks = tasks.filter(isValidTask);
+
+  return {
+    version,
+    exportedAt: data.exportedAt || null,
+    events,
+    tasks: validTasks.map(normalizeTask),
+    habits: Array.isArray(data.habits) ? data.habits.filter(isPlainObject).map(normalizeHabit) : null,
+    rewards: Array.isArray(data.rewards) ? data.rewards.filter(isPlainObject).map(normalizeReward) : null,
+    inventory: isPlainObject(data.inventory) ? normalizeInventory(data.inventory) : null,
+    preferences: isPlainObject(data.preferences) ? mergePreferences(data.preferences) : null,
+    ...Object.fromEntries([...LIST_ROWS, ...OBJECT_ROWS, 'rulesCheckedThrough'].map(key => [key, readSettingRow(key, data[key])])),
+    sync: readSyncConnection(data.sync),
+    invalidRecords: (data.events.length - events.length) + (tasks.length - validTasks.length),
+  };
+};
+
+// --- Import Planning ---
+
+// Keeps every current record and appends incoming ones whose id is not taken yet.
+const mergeById = (current, incoming) => {
+  const ids = new Set(current.map(item => item.id));
+  const added = incoming.filter(item => !ids.has(item.id));
+  return { merged: [...current, ...added], added: added.length, duplicates: incoming.length - added.length };
+};
+
+const SETTING_KEYS = Object.keys(SETTING_LOADERS);
+
+// Settings that are lists of records with ids, and settings keyed by id
+const MERGED_LISTS = ['habits', 'rewards', 'reminders', 'rules', 'goals', 'challenges'];
+const MERGED_MAPS = ['reviewNotes', 'achievements'];
+
+// Works out the state an import would produce without applying it, so the user can
+// preview the change. `current` and the result hold every key in PERSISTED_KEYS.
+// - merge: dedupes events, tasks and the record lists (habits, rules, goals...) by id,
+//   and adds review notes and unlocks for periods and achievements not here yet
+//   (existing records win); inventory, preferences and sync stay as they are.
+// - replace: the backup wins wholesale; settings it does not contain are kept. Its
+//   sync connection replaces this device's (see restoreSyncConnection); `needsSyncToken`
+//   is set when the backup synced and its token has to be entered again.
+export const planImport = (current, backup, mode) => {
+  let next;
+  let changes;
+
+  if (mode === 'replace') {
+    next = {
+      ...current,
+      events: backup.events,
+      tasks: backup.tasks,
+      ...Object.fromEntries(SETTING_KEYS.filter(key => backup[key]).map(key => [key, backup[key]])),
+      sync: backup.sync ? restoreSyncConnection(current.sync, backup.sync) : current.sync,
+    };
+    changes = {
+      events: { added: backup.events.length, removed: current.events.length, duplicates: 0 },
+      tasks: { added: backup.tasks.length, removed: current.tasks.length, duplicates: 0 },
+    };
+  } else {
+    const events = mergeById(current.events, backup.events);
+    const tasks = mergeById(current.tasks, backup.tasks);
+    next = {
+      ...current,
+      events: events.merged,
+      tasks: tasks.merged,
+      ...Object.fromEntries(MERGED_LISTS.filter(key => backup[key]).map(key =>
+        [key, mergeById(current[key], backup[key]).merged]
+      )),
+      ...Object.fromEntries(MERGED_MAPS.filter(key => backup[key]).map(key =>
+        [key, { ...backup[key], ...current[key] }]
+      )),
+    };
+    changes = {
+      events: { added: events.added, removed: 0, duplicates: events.duplicates },
+      tasks: { added: tasks.added, removed: 0, duplicates: tasks.duplicates },
+    };
+  }
+
+  next.events = [...next.events].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  return {
+    next,
+    changes,
+    needsSyncToken: Boolean(backup.sync?.enabled) && !next.sync.enabled,
+    balance: {
+      before: buildLedger(current.events, current.preferences).balance,
+      after: buildLedger(next.events, next.preferences).balance,
+    },
+  };
+};
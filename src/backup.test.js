@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { BACKUP_FORMAT, BACKUP_VERSION, createBackup, parseBackup, planImport } from './backup';
+import { ACTIONS, INITIAL_STATE, PERSISTED_KEYS, SETTING_LOADERS, reducer } from './store';
+import { getActiveEffects } from './inventory';
+import { getDueReminders } from './reminders';
+
+const fresh = reducer(INITIAL_STATE, { type: ACTIONS.LOADED, data: { events: [], tasks: [] } });
+const current = Object.fromEntries(PERSISTED_KEYS.map(key => [key, fresh[key]]));
+
+const importBackup = (contents) => {
+  const backup = parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, events: [], ...contents }));
+  return reducer(fresh, { type: ACTIONS.IMPORTED, data: planImport(current, backup, 'replace').next });
+};
+
+describe('importing malformed settings', () => {
+  it('repairs an inventory without items', () => {
+    const state = importBackup({ inventory: { items: null, restoredDays: ['2026-10-01', 'nope', 3] } });
+    expect(state.inventory).toEqual({ items: {}, restoredDays: ['2026-10-01'] });
+    expect(() => getActiveEffects(state.inventory)).not.toThrow();
+  });
+
+  it('drops malformed upgrades', () => {
+    const state = importBackup({ inventory: { items: { potion: { quantity: 'x' }, blade: { expiresAt: 5 }, shield: null } } });
+    expect(state.inventory.items).toEqual({});
+  });
+
+  it('fills in reminders missing their times', () => {
+    const state = importBackup({ reminders: [{ id: 'r', enabled: true, kind: 'interval' }] });
+    expect(state.reminders[0]).toMatchObject({ id: 'r', kind: 'interval', time: '09:00', until: '22:00' });
+    expect(() => getDueReminders(state.reminders, [], state.preferences, Date.now())).not.toThrow();
+  });
+});
+
+describe('loading malformed settings', () => {
+  it('normalizes stored or synced rows the same way', () => {
+    expect(SETTING_LOADERS.inventory({ items: null })).toEqual({ items: {}, restoredDays: [] });
+    expect(SETTING_LOADERS.reminders([{ id: 'r', kind: 'interval' }])[0].time).toBe('09:00');
+  });
+});
+
+describe('sync connection', () => {
+  const synced = { ...current, sync: { ...current.sync, enabled: true, endpoint: 'https://sync.example', space: 'home', token: 'secret', deviceId: 'device-1' } };
+
+  it('leaves the token out of the backup', () => {
+    const json = JSON.stringify(createBackup(synced));
+    expect(json).not.toContain('secret');
+    expect(JSON.parse(json).sync).toEqual({ enabled: true, endpoint: 'https://sync.example', space: 'home' });
+  });
+
+  it('restores another space switched off until its token is entered', () => {
+    const plan = planImport(current, parseBackup(JSON.stringify(createBackup(synced))), 'replace');
+    expect(plan.next.sync).toMatchObject({ enabled: false, endpoint: 'https://sync.example', space: 'home', token: '' });
+    expect(plan.needsSyncToken).toBe(true);
+  });
+
+  it('keeps the token when restoring onto the same space', () => {
+    const plan = planImport(synced, parseBackup(JSON.stringify(createBackup(synced))), 'replace');
+    expect(plan.next.sync).toBe(synced.sync);
+    expect(plan.needsSyncToken).toBe(false);
+  });
+});
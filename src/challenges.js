@@ -0,0 +1,151 @@
+import { createId, getEventQuantity } from './habits';
+import { getDayEnd, getDayKey, shiftDay } from './dates';
+
+// --- Challenges ---
+// A challenge spans a range of day keys (`start` to `end`, inclusive) and tracks one
+// habit. Progress is folded from the ledger like every other figure, so a voided log
+// stops counting. When a challenge resolves it pays its bonus or charges its forfeit
+// once, as a system event with id `challenge-<id>`, and records the `outcome`.
+//
+// Challenge types:
+// - count: log the habit `target` times (units for habits with one)
+// - days:  log the habit on `target` different days
+// - avoid: never log the habit; won once the last day has passed
+
+export const CHALLENGE_TYPES = [
+  { id: 'count', label: 'Reach a total' },
+  { id: 'days', label: 'Show up on days' },
+  { id: 'avoid', label: 'Stay clear' },
+];
+
+// `duration` is in days, counting the start day
+export const CHALLENGE_TEMPLATES = [
+  { id: 'exercise-week', name: 'Exercise 5 times this week', type: 'count', habitId: 'exercise', target: 5, duration: 7, bonus: 500, forfeit: 0 },
+  { id: 'no-sugar', name: 'No sugar for 7 days', type: 'avoid', habitId: 'sugar', target: 0, duration: 7, bonus: 300, forfeit: 100 },
+  { id: 'water-streak', name: 'Drink water every day for 2 weeks', type: 'days', habitId: 'water', target: 14, duration: 14, bonus: 400, forfeit: 0 },
+  { id: 'reading-month', name: 'Read 20 times this month', type: 'count', habitId: 'read', target: 20, duration: 30, bonus: 1000, forfeit: 200 },
+  { id: 'no-doomscroll', name: 'Three days without doomscrolling', type: 'avoid', habitId: 'social', target: 0, duration: 3, bonus: 150, forfeit: 0 },
+];
+
+export const getChallengeEventId = (challengeId) => `challenge-${challengeId}`;
+
+const toAmount = (value) => Math.abs(parseInt(value, 10) || 0);
+
+// Number of days from `start` to `end`, both included.
+export const countChallengeDays = (start, end) => {
+  let days = 0;
+  for (let day = start; day <= end; day = shiftDay(day, 1)) days += 1;
+  return days;
+};
+
+export const normalizeChallenge = (challenge) => {
+  const type = CHALLENGE_TYPES.some(t => t.id === challenge.type) ? challenge.type : 'count';
+  const start = challenge.start;
+  const end = challenge.end && challenge.end >= start ? challenge.end : start;
+  const target = Math.max(toAmount(challenge.target), 1);
+
+  return {
+    id: challenge.id || createId('challenge'),
+    name: (challenge.name || '').trim() || 'Untitled Challenge',
+    type,
+    habitId: challenge.habitId || null,
+    // Avoid challenges have nothing to reach; day challenges cannot ask for more days than they span
+    target: type === 'avoid' ? 0 : type === 'days' ? Math.min(target, countChallengeDays(start, end)) : target,
+    start,
+    end,
+    bonus: toAmount(challenge.bonus),
+    forfeit: toAmount(challenge.forfeit),
+    templateId: challenge.templateId || null,
+    createdAt: challenge.createdAt || new Date().toISOString(),
+    resolvedAt: challenge.resolvedAt || null,
+    outcome: challenge.outcome === 'won' || challenge.outcome === 'lost' ? challenge.outcome : null,
+  };
+};
+
+// A template turned into a challenge starting on `todayKey`.
+export const createFromTemplate = (template, todayKey) => normalizeChallenge({
+  name: template.name,
+  type: template.type,
+  habitId: template.habitId,
+  target: template.target,
+  start: todayKey,
+  end: shiftDay(todayKey, template.duration - 1),
+  bonus: template.bonus,
+  forfeit: template.forfeit,
+  templateId: template.id,
+});
+
+// `{ value, target, ratio, status, daysLeft }` for an open challenge. Pass active events only.
+// `value` is the units or days logged so far (slips for avoid challenges), and `status`
+// is one of 'upcoming', 'active', 'won' or 'lost'.
+export const getChallengeProgress = (challenge, events, { todayKey, dayOptions }) => {
+  const logs = events.filter(e => {
+    if (e.habitId !== challenge.habitId) return false;
+    const day = getDayKey(e.timestamp, dayOptions);
+    return day >= challenge.start && day <= challenge.end;
+  });
+  const value = challenge.type === 'days'
+    ? new Set(logs.map(e => getDayKey(e.timestamp, dayOptions))).size
+    : logs.reduce((sum, e) => sum + getEventQuantity(e), 0);
+
+  const totalDays = countChallengeDays(challenge.start, challenge.end);
+  const daysLeft = todayKey > challenge.end ? 0 : countChallengeDays(todayKey > challenge.start ? todayKey : challenge.start, challenge.end);
+  const isOver = todayKey > challenge.end;
+
+  if (challenge.type === 'avoid') {
+    // Clean days count up as each day finishes
+    const cleanDays = value > 0 ? 0 : totalDays - daysLeft;
+    return {
+      value,
+      target: 0,
+      ratio: cleanDays / totalDays,
+      status: value > 0 ? 'lost' : isOver ? 'won' : todayKey < challenge.start ? 'upcoming' : 'active',
+      daysLeft,
+    };
+  }
+  return {
+    value,
+    target: challenge.target,
+    ratio: Math.min(value / challenge.target, 1),
+    status: value >= challenge.target ? 'won' : isOver ? 'lost' : todayKey < challenge.start ? 'upcoming' : 'active',
+    daysLeft,
+  };
+};
+
+// "3 of 5 times", "4 of 14 days", "2 of 7 days clean"
+export const describeChallengeProgress = (challenge, progress, habit) => {
+  if (challenge.type === 'avoid') {
+    if (progress.value > 0) return `Slipped ${progress.value}×`;
+    const totalDays = countChallengeDays(challenge.start, challenge.end);
+    return `${totalDays - progress.daysLeft} of ${totalDays} days clean`;
+  }
+  if (challenge.type === 'days') return `${progress.value} of ${challenge.target} days`;
+  const unit = habit?.unit ? ` ${habit.unit}` : ' times';
+  return `${progress.value} of ${challenge.target}${unit}`;
+};
+
+// The ledger entry for a resolved challenge, or null when the outcome carries no money.
+// A challenge won early pays now; anything settled after its last day is booked on that day.
+export const createChallengeResult = (challenge, outcome, { todayKey, dayOptions }) => {
+  const amount = outcome === 'won' ? challenge.bonus : -challenge.forfeit;
+  if (amount === 0) return null;
+  return {
+    id: getChallengeEventId(challenge.id),
+    habitId: getChallengeEventId(challenge.id),
+    label: `${outcome === 'won' ? 'Challenge won' : 'Challenge lost'}: ${challenge.name}`,
+    amount,
+    icon: outcome === 'won' ? 'Trophy' : 'ShieldAlert',
+    category: 'challenge',
+    timestamp: todayKey > challenge.end ? getDayEnd(challenge.end, dayOptions) : new Date().toISOString(),
+    loggedAt: new Date().toISOString(),
+    type: amount > 0 ? 'earn' : 'lose',
+    system: true,
+  };
+};
+
+// "4 days left", "Last day" or "Starts 12 Mar"; `format` is a display formatter (see format.js).
+export const describeChallengeTime = (challenge, progress, format) => {
+  if (progress.status === 'upcoming') return `Starts ${format.day(challenge.start)}`;
+  if (progress.daysLeft <= 1) return 'Last day';
+  return `${progress.daysLeft} days left`;
+};
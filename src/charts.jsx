@@ -0,0 +1,124 @@
+import React from 'react';
+import { useFormat } from './format';
+
+// --- SVG Charts ---
+// Dependency-free charts sized through viewBox, so they scale to the card width.
+// Colours come from theme classes (fill-*, stroke-*, currentColor) so they follow dark mode.
+
+const WIDTH = 360;
+
+const EmptyChart = ({ height }) => (
+  <div className="flex items-center justify-center text-xs text-slate-400" style={{ height }}>
+    No data in this range
+  </div>
+);
+
+export const LineChart = ({ points, height = 140, colorClass = 'text-primary' }) => {
+  const format = useFormat();
+  if (points.length === 0) return <EmptyChart height={height} />;
+
+  const values = points.map(p => p.value);
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  const span = max - min || 1;
+  const pad = 8;
+  const x = (i) => points.length === 1 ? WIDTH / 2 : (i / (points.length - 1)) * WIDTH;
+  const y = (value) => pad + (1 - (value - min) / span) * (height - pad * 2);
+
+  const line = points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ');
+  const area = `M0,${y(min)} L${points.map((p, i) => `${x(i)},${y(p.value)}`).join(' L')} L${x(points.length - 1)},${y(min)} Z`;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className={`w-full ${colorClass}`} preserveAspectRatio="none" style={{ height }}>
+        <line x1="0" x2={WIDTH} y1={y(0)} y2={y(0)} className="stroke-slate-200" strokeDasharray="4 4" />
+        <path d={area} fill="currentColor" opacity="0.08" />
+        <polyline points={line} fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+        <span>{format.day(points[0].day)}</span>
+        <span>min {format.money(Math.min(...values))} · max {format.money(Math.max(...values))}</span>
+        <span>{format.day(points[points.length - 1].day)}</span>
+      </div>
+    </div>
+  );
+};
+
+export const BarChart = ({ groups, height = 140, formatLabel = (key) => key }) => {
+  const format = useFormat();
+  if (groups.length === 0) return <EmptyChart height={height} />;
+
+  const max = Math.max(1, ...groups.flatMap(g => [g.earned, g.fined]));
+  const slot = WIDTH / groups.length;
+  const barWidth = Math.max(Math.min(slot / 3, 18), 1);
+  const labelEvery = Math.ceil(groups.length / 6);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" style={{ height }}>
+        {groups.map((group, i) => {
+          const center = slot * i + slot / 2;
+          const earnedHeight = (group.earned / max) * (height - 4);
+          const finedHeight = (group.fined / max) * (height - 4);
+          return (
+            <g key={group.key}>
+              <rect x={center - barWidth - 1} y={height - earnedHeight} width={barWidth} height={earnedHeight} rx="2" className="fill-success">
+                <title>{`${formatLabel(group.key)}: ${format.signed(group.earned)}`}</title>
+              </rect>
+              <rect x={center + 1} y={height - finedHeight} width={barWidth} height={finedHeight} rx="2" className="fill-warning">
+                <title>{`${formatLabel(group.key)}: ${format.signed(-group.fined)}`}</title>
+              </rect>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex text-[10px] text-slate-400 mt-1">
+        {groups.map((group, i) => (
+          <span key={group.key} className="text-center truncate" style={{ width: `${100 / groups.length}%` }}>
+            {i % labelEvery === 0 ? formatLabel(group.key) : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const HEAT_COLORS = ['fill-slate-100', 'fill-teal-100', 'fill-teal-300', 'fill-teal-500', 'fill-teal-700'];
+
+export const Heatmap = ({ cells }) => {
+  const format = useFormat();
+  if (cells.length === 0) return <EmptyChart height={100} />;
+
+  const size = 12;
+  const gap = 2;
+  const max = Math.max(1, ...cells.map(c => c.count));
+  // Rows are weekdays (Monday first), columns are weeks
+  const offset = (new Date(`${cells[0].day}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const columns = Math.ceil((cells.length + offset) / 7);
+  const width = columns * (size + gap);
+  const height = 7 * (size + gap);
+
+  return (
+    <div className="overflow-x-auto no-scrollbar">
+      <svg viewBox={`0 0 ${width} ${height}`} width={width} height={height}>
+        {cells.map((cell, i) => {
+          const slot = i + offset;
+          const level = cell.count === 0 ? 0 : Math.ceil((cell.count / max) * (HEAT_COLORS.length - 1));
+          return (
+            <rect
+              key={cell.day}
+              x={Math.floor(slot / 7) * (size + gap)}
+              y={(slot % 7) * (size + gap)}
+              width={size}
+              height={size}
+              rx="3"
+              className={HEAT_COLORS[level]}
+            >
+              <title>{`${format.day(cell.day)}: ${cell.count}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
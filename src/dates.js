@@ -0,0 +1,100 @@
+// --- Day Boundaries ---
+// A "day" is a YYYY-MM-DD key in the user's chosen time zone, where the day rolls
+// over at `dayStartHour` instead of midnight (so a 1am log still counts as last night).
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const getDefaultTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('timeZone');
+  return ['UTC', getDefaultTimeZone()];
+};
+
+const formatters = new Map();
+
+// Cached because constructing Intl formatters is expensive and this runs per event.
+const getPartsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getPartsFormatter(timeZone).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+const toKey = (year, month, day) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Milliseconds the zone is ahead of UTC at the given instant.
+const getZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+export const getDayKey = (timestamp, { dayStartHour = 0, timeZone = 'UTC' } = {}) => {
+  const shifted = new Date(Date.parse(timestamp) - dayStartHour * HOUR_MS);
+  const p = getZonedParts(shifted, timeZone);
+  return toKey(p.year, p.month, p.day);
+};
+
+export const getTodayKey = (preferences) => getDayKey(new Date().toISOString(), preferences);
+
+export const shiftDay = (dayKey, offset) =>
+  new Date(Date.parse(`${dayKey}T00:00:00Z`) + offset * DAY_MS).toISOString().split('T')[0];
+
+// Converts a wall-clock time ("HH:MM") on a day key into an ISO timestamp.
+// Times before the day-start hour belong to the following calendar date.
+export const getDayTimestamp = (dayKey, time, { dayStartHour = 0, timeZone = 'UTC' } = {}) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const calendarDay = hour < dayStartHour ? shiftDay(dayKey, 1) : dayKey;
+  const [year, month, day] = calendarDay.split('-').map(Number);
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Two passes settle the offset when the guess straddles a DST transition
+  let instant = wallClock - getZoneOffset(new Date(wallClock), timeZone);
+  instant = wallClock - getZoneOffset(new Date(instant), timeZone);
+  return new Date(instant).toISOString();
+};
+
+// The last minute of a day under the user's day boundary
+export const getDayEnd = (dayKey, dayOptions = {}) => {
+  const lastHour = ((dayOptions.dayStartHour || 0) + 23) % 24;
+  return getDayTimestamp(dayKey, `${String(lastHour).padStart(2, '0')}:59`, dayOptions);
+};
+
+// Wall-clock "HH:MM" of a timestamp in the given zone.
+export const getTimeOfDay = (timestamp, timeZone) => {
+  const p = getZonedParts(new Date(timestamp), timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+};
+
+export const getCurrentTime = (timeZone) => getTimeOfDay(new Date().toISOString(), timeZone);
+
+// Weeks start on Monday; the key is the Monday's day key.
+export const getWeekKey = (dayKey) => {
+  const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+  return shiftDay(dayKey, -((weekday + 6) % 7));
+};
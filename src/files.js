@@ -0,0 +1,27 @@
+// --- File Export ---
+
+// Saves `contents` (a string or Blob) through a temporary download link.
+export const downloadFile = (filename, contents, type) => {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Opens the system share sheet for a file where supported, otherwise downloads it.
+export const shareFile = async (filename, contents, type) => {
+  const file = new File([contents], filename, { type });
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: filename });
+      return;
+    } catch (err) {
+      // Dismissing the share sheet is not an error worth a download
+      if (err.name === 'AbortError') return;
+    }
+  }
+  downloadFile(filename, file, type);
+};
@@ -0,0 +1,90 @@
+import { createContext, useContext } from 'react';
+import { shiftDay } from './dates';
+
+// --- Display Formatting ---
+// Every amount and timestamp on screen goes through a formatter built from the
+// display preferences (currency, locale, clock) with Intl. Components read it with
+// useFormat(); pure modules that build text take it as an argument.
+
+export const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'AUD', 'CAD', 'SGD', 'AED', 'CHF', 'SEK', 'BRL', 'MXN', 'ZAR', 'NZD'];
+
+// '' follows the browser's language
+export const LOCALES = ['', 'en-IN', 'en-US', 'en-GB', 'hi-IN', 'de-DE', 'fr-FR', 'es-ES', 'pt-BR', 'ja-JP', 'zh-CN'];
+
+export const HOUR_CYCLES = [
+  { id: 'auto', label: 'Locale default' },
+  { id: 'h12', label: '12-hour' },
+  { id: 'h23', label: '24-hour' },
+];
+
+// Options for day keys ("YYYY-MM-DD", or "YYYY-MM" for months), which are read at UTC noon
+const DAY_STYLES = {
+  short: { day: 'numeric', month: 'short' },
+  weekday: { weekday: 'short', day: 'numeric', month: 'short' },
+  month: { month: 'short' },
+  monthYear: { month: 'long', year: 'numeric' },
+};
+
+export const createFormatter = ({ currency = 'INR', locale = '', hourCycle = 'auto', timeZone } = {}) => {
+  const locales = locale || undefined;
+  const clock = hourCycle === 'auto' ? {} : { hourCycle };
+  const moneyFormat = new Intl.NumberFormat(locales, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2 });
+  const signedFormat = new Intl.NumberFormat(locales, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2, signDisplay: 'exceptZero' });
+  const numberFormat = new Intl.NumberFormat(locales);
+  const timeFormat = new Intl.DateTimeFormat(locales, { hour: '2-digit', minute: '2-digit', timeZone, ...clock });
+  const clockFormat = new Intl.DateTimeFormat(locales, { hour: '2-digit', minute: '2-digit', timeZone: 'UTC', ...clock });
+  const dateFormat = new Intl.DateTimeFormat(locales, { dateStyle: 'medium', timeZone });
+  const dateTimeFormat = new Intl.DateTimeFormat(locales, { dateStyle: 'medium', timeStyle: 'short', timeZone, ...clock });
+  const dayFormats = Object.fromEntries(Object.entries(DAY_STYLES).map(([style, options]) => [
+    style,
+    new Intl.DateTimeFormat(locales, { ...options, timeZone: 'UTC' }),
+  ]));
+
+  const day = (dayKey, style = 'short') =>
+    dayFormats[style].format(new Date(`${dayKey.length === 7 ? `${dayKey}-01` : dayKey}T12:00:00Z`));
+
+  return {
+    currency,
+    symbol: moneyFormat.formatToParts(0).find(part => part.type === 'currency')?.value || currency,
+    money: (amount) => moneyFormat.format(amount),
+    // "+₹20" / "-₹20"; zero has no sign
+    signed: (amount) => signedFormat.format(amount),
+    number: (value) => numberFormat.format(value),
+    time: (timestamp) => timeFormat.format(new Date(timestamp)),
+    // A wall-clock "HH:MM" time, not tied to any date
+    clock: (time) => {
+      const [hour, minute] = time.split(':').map(Number);
+      return clockFormat.format(Date.UTC(2000, 0, 1, hour, minute));
+    },
+    date: (timestamp) => dateFormat.format(new Date(timestamp)),
+    dateTime: (timestamp) => dateTimeFormat.format(new Date(timestamp)),
+    day,
+    dayLabel: (dayKey, todayKey) => {
+      if (dayKey === todayKey) return 'Today';
+      if (dayKey === shiftDay(todayKey, -1)) return 'Yesterday';
+      return day(dayKey, 'weekday');
+    },
+  };
+};
+
+export const describeCurrency = (currency, locale) => {
+  try {
+    return `${currency} · ${new Intl.DisplayNames(locale ? [locale] : undefined, { type: 'currency' }).of(currency)}`;
+  } catch {
+    return currency;
+  }
+};
+
+// Display name of a locale in its own language, e.g. "Deutsch (Deutschland)"
+export const describeLocale = (locale) => {
+  if (!locale) return 'Browser default';
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+  } catch {
+    return locale;
+  }
+};
+
+export const FormatContext = createContext(createFormatter());
+
+export const useFormat = () => useContext(FormatContext);
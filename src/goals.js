@@ -0,0 +1,88 @@
+import { createId } from './habits';
+import { shiftDay } from './dates';
+
+// --- Savings Goals ---
+// A goal is a jar that locks part of the balance. Jar balances are folded from the
+// ledger like every other figure, so voiding an event also undoes what it put away:
+// - earning events carry `allocations: [{ goalId, amount }]`, their auto-saved share
+// - transfer events (category `transfer`, amount 0) move money in or out by hand
+// - reaching the target logs a withdrawal (category `goal`) that spends the jar
+// Every goal event uses habitId `goal-<id>`, like rewards and store purchases.
+
+export const getGoalEventId = (goalId) => `goal-${goalId}`;
+
+const toGoalId = (habitId) => String(habitId || '').replace(/^goal-/, '');
+
+export const normalizeGoal = (goal) => ({
+  id: goal.id || createId('goal'),
+  name: (goal.name || '').trim() || 'Untitled Goal',
+  target: Math.max(Math.abs(parseInt(goal.target, 10) || 0), 1),
+  deadline: goal.deadline || null,
+  allocationPercent: Math.min(Math.max(parseInt(goal.allocationPercent, 10) || 0, 0), 100),
+  createdAt: goal.createdAt || new Date().toISOString(),
+  completedAt: goal.completedAt || null,
+});
+
+// Percent of every earning already promised to open goals other than `exceptId`.
+export const getAllocatedPercent = (goals, exceptId = null) =>
+  goals
+    .filter(g => !g.completedAt && g.id !== exceptId)
+    .reduce((sum, g) => sum + g.allocationPercent, 0);
+
+// Map of goalId → amount in the jar. Pass active events only.
+export const getJarBalances = (events) => {
+  const jars = new Map();
+  const add = (goalId, amount) => jars.set(goalId, (jars.get(goalId) || 0) + amount);
+
+  events.forEach(event => {
+    (event.allocations || []).forEach(allocation => add(allocation.goalId, allocation.amount));
+    if (event.category === 'transfer') add(toGoalId(event.habitId), event.transfer);
+    if (event.category === 'goal') add(toGoalId(event.habitId), event.amount);
+  });
+  return jars;
+};
+
+// Jars of goals that no longer exist (e.g. from an imported ledger) lock nothing.
+export const getLockedTotal = (goals, jars) =>
+  goals.reduce((sum, goal) => sum + Math.max(jars.get(goal.id) || 0, 0), 0);
+
+// The share of an earning each open goal takes, rounded down and never past its target.
+export const allocateEarning = (goals, jars, amount) => {
+  if (amount <= 0) return [];
+  return goals.flatMap(goal => {
+    if (goal.completedAt || goal.allocationPercent === 0) return [];
+    const missing = goal.target - (jars.get(goal.id) || 0);
+    const share = Math.min(Math.floor(amount * goal.allocationPercent / 100), missing);
+    return share > 0 ? [{ goalId: goal.id, amount: share }] : [];
+  });
+};
+
+// Open goals whose jar has reached the target and should be withdrawn.
+export const getReachedGoals = (goals, jars) =>
+  goals.filter(goal => !goal.completedAt && (jars.get(goal.id) || 0) >= goal.target);
+
+// Positive amounts lock spendable money in the jar, negative ones release it again.
+export const createTransfer = (goal, amount) => ({
+  id: createId('evt'),
+  habitId: getGoalEventId(goal.id),
+  label: amount > 0 ? `Saved for ${goal.name}` : `Released from ${goal.name}`,
+  amount: 0,
+  transfer: amount,
+  icon: 'ShoppingBag',
+  category: 'transfer',
+  timestamp: new Date().toISOString(),
+  loggedAt: new Date().toISOString(),
+  type: 'transfer',
+});
+
+// "12 days left · ₹84/day", or how overdue an open goal is. `format` is a display
+// formatter (see format.js).
+export const describeDeadline = (goal, saved, todayKey, format) => {
+  if (!goal.deadline) return null;
+  if (goal.deadline < todayKey) return 'Past deadline';
+  let days = 0;
+  for (let day = todayKey; day < goal.deadline; day = shiftDay(day, 1)) days += 1;
+  const missing = Math.max(goal.target - saved, 0);
+  if (days === 0) return missing > 0 ? `Due today · ${format.money(missing)} to go` : 'Due today';
+  return `${days} day${days === 1 ? '' : 's'} left · ${format.money(Math.ceil(missing / days))}/day`;
+};
@@ -0,0 +1,123 @@
+import {
+  Droplet,
+  Code,
+  Dumbbell,
+  BookOpen,
+  Coffee,
+  Moon,
+  Zap,
+  ShieldAlert,
+  ShoppingBag,
+  CheckSquare,
+  TrendingUp,
+  TrendingDown,
+  Home,
+  User,
+  Trophy
+} from 'lucide-react';
+import { getDayKey } from './dates';
+
+// --- Icon Registry ---
+// Habits are persisted, so they reference icons by name rather than by element.
+
+export const HABIT_ICONS = {
+  Droplet,
+  Dumbbell,
+  Code,
+  Zap,
+  BookOpen,
+  Moon,
+  Coffee,
+  ShieldAlert,
+  ShoppingBag,
+  CheckSquare,
+  TrendingUp,
+  TrendingDown,
+  Home,
+  User,
+  Trophy,
+};
+
+export const HABIT_CATEGORIES = ['earning', 'penalty'];
+
+// --- Default Catalog ---
+// `amount` is the rate per `unit`. Habits without a unit are logged as plain counts.
+// `dailyCap` (in units, null = unlimited) stops logging once a day's total reaches it.
+
+export const DEFAULT_HABITS = [
+  { id: 'water', label: 'Water', amount: 20, unit: 'L', dailyCap: 4, icon: 'Droplet', category: 'earning', archived: false },
+  { id: 'exercise', label: 'Exercise (25m)', amount: 120, unit: '', dailyCap: null, icon: 'Dumbbell', category: 'earning', archived: false },
+  { id: 'code', label: 'Coding', amount: 50, unit: 'hr', dailyCap: null, icon: 'Code', category: 'earning', archived: false },
+  { id: 'steps', label: '8k Steps', amount: 60, unit: '', dailyCap: null, icon: 'Zap', category: 'earning', archived: false },
+  { id: 'read', label: 'Reading (30m)', amount: 70, unit: '', dailyCap: null, icon: 'BookOpen', category: 'earning', archived: false },
+  { id: 'sleep', label: 'Good Sleep (7h+)', amount: 60, unit: '', dailyCap: null, icon: 'Moon', category: 'earning', archived: false },
+  { id: 'meal', label: 'Healthy Meal', amount: 80, unit: '', dailyCap: null, icon: 'Coffee', category: 'earning', archived: false },
+  { id: 'sugar', label: 'Sugar/Sweets', amount: -100, unit: '', dailyCap: null, icon: 'ShieldAlert', category: 'penalty', archived: false },
+  { id: 'social', label: 'Doomscrolling', amount: -70, unit: '', dailyCap: null, icon: 'ShieldAlert', category: 'penalty', archived: false },
+  { id: 'youtube', label: 'YouTube Binge', amount: -80, unit: '', dailyCap: null, icon: 'ShieldAlert', category: 'penalty', archived: false },
+  { id: 'lazy', label: 'Skipped Workout', amount: -120, unit: '', dailyCap: null, icon: 'ShieldAlert', category: 'penalty', archived: false },
+  { id: 'junk', label: 'Junk Food', amount: -120, unit: '', dailyCap: null, icon: 'ShieldAlert', category: 'penalty', archived: false },
+];
+
+// --- Helpers ---
+
+export const createId = (prefix = 'id') =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Coerces user input into a valid habit: the sign of the amount always follows the category.
+export const normalizeHabit = (habit) => {
+  const category = HABIT_CATEGORIES.includes(habit.category) ? habit.category : 'earning';
+  const magnitude = Math.abs(parseInt(habit.amount, 10) || 0);
+
+  return {
+    id: habit.id || createId('habit'),
+    label: (habit.label || '').trim() || 'Untitled Habit',
+    amount: category === 'penalty' ? -magnitude : magnitude,
+    unit: (habit.unit || '').trim(),
+    dailyCap: parseInt(habit.dailyCap, 10) > 0 ? parseInt(habit.dailyCap, 10) : null,
+    icon: HABIT_ICONS[habit.icon] ? habit.icon : 'Zap',
+    category,
+    archived: Boolean(habit.archived),
+  };
+};
+
+export const getActiveHabits = (habits, category) =>
+  habits.filter(h => !h.archived && h.category === category);
+
+// Moves the habit one slot up or down among the habits of the same category.
+export const moveHabit = (habits, habitId, direction) => {
+  const index = habits.findIndex(h => h.id === habitId);
+  if (index === -1) return habits;
+
+  const { category } = habits[index];
+  let target = index + direction;
+  while (target >= 0 && target < habits.length && habits[target].category !== category) {
+    target += direction;
+  }
+  if (target < 0 || target >= habits.length) return habits;
+
+  const next = [...habits];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// --- Quantities ---
+
+// Events logged before quantities existed count as a single unit.
+export const getEventQuantity = (event) => event.quantity ?? 1;
+
+// "3 L", "×2", or '' for a single unitless log.
+export const formatQuantity = (event) => {
+  const quantity = getEventQuantity(event);
+  if (event.unit) return `${quantity} ${event.unit}`;
+  return quantity === 1 ? '' : `×${quantity}`;
+};
+
+// Units that can still be logged for a habit on the given day (Infinity without a cap).
+export const getRemainingQuantity = (habit, events, dayKey, dayOptions) => {
+  if (!habit.dailyCap) return Infinity;
+  const logged = events
+    .filter(e => e.habitId === habit.id && getDayKey(e.timestamp, dayOptions) === dayKey)
+    .reduce((sum, e) => sum + getEventQuantity(e), 0);
+  return Math.max(habit.dailyCap - logged, 0);
+};
@@ -0,0 +1,79 @@
+import { getDayKey } from './dates';
+import { getEventCategory, isReversal, SPENDING_CATEGORIES } from './ledger';
+
+// --- History ---
+// Search and grouping for the unified history screen. Reversal entries never show
+// up as rows: the events they void are shown struck through instead.
+
+export const HISTORY_TYPES = [
+  { id: 'all', label: 'All', matches: () => true },
+  { id: 'earned', label: 'Earned', matches: (event) => event.type === 'earn' },
+  { id: 'used', label: 'Used', matches: (event) => event.type === 'lose' },
+  { id: 'penalty', label: 'Penalties', matches: (event, category) => category === 'penalty' },
+  { id: 'spending', label: 'Spending', matches: (event, category) => SPENDING_CATEGORIES.includes(category) },
+  { id: 'task', label: 'Missions', matches: (event, category) => category === 'task' },
+  { id: 'challenge', label: 'Challenges', matches: (event, category) => category === 'challenge' },
+  { id: 'transfer', label: 'Savings', matches: (event, category) => category === 'transfer' },
+];
+
+export const EMPTY_FILTERS = {
+  query: '',
+  type: 'all',
+  habitId: '',
+  from: '',
+  to: '',
+  minAmount: '',
+  maxAmount: '',
+};
+
+export const countActiveFilters = (filters) =>
+  Object.keys(EMPTY_FILTERS).filter(key => key !== 'query' && filters[key] !== EMPTY_FILTERS[key]).length;
+
+// The amount a row shows: transfers move money into jars without changing the balance.
+export const getDisplayAmount = (event) => event.type === 'transfer' ? event.transfer : event.amount;
+
+const matchesQuery = (event, query) =>
+  [event.label, event.note, event.reason].some(text => text && text.toLowerCase().includes(query));
+
+// `events` is the full newest-first array; the result keeps that order.
+export const filterEvents = (events, filters, dayOptions) => {
+  const query = filters.query.trim().toLowerCase();
+  const type = HISTORY_TYPES.find(t => t.id === filters.type) || HISTORY_TYPES[0];
+  const min = filters.minAmount === '' ? null : Number(filters.minAmount);
+  const max = filters.maxAmount === '' ? null : Number(filters.maxAmount);
+
+  return events.filter(event => {
+    if (isReversal(event)) return false;
+    if (!type.matches(event, getEventCategory(event))) return false;
+    if (filters.habitId && event.habitId !== filters.habitId) return false;
+    if (query && !matchesQuery(event, query)) return false;
+
+    const magnitude = Math.abs(getDisplayAmount(event));
+    if (min !== null && magnitude < min) return false;
+    if (max !== null && magnitude > max) return false;
+
+    if (filters.from || filters.to) {
+      const day = getDayKey(event.timestamp, dayOptions);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+    }
+    return true;
+  });
+};
+
+// Groups newest-first events into `{ day, events, subtotal }`; voided events are
+// listed but left out of the subtotal.
+export const groupByDay = (events, voidedIds, dayOptions) => {
+  const groups = [];
+  events.forEach(event => {
+    const day = getDayKey(event.timestamp, dayOptions);
+    let group = groups[groups.length - 1];
+    if (!group || group.day !== day) {
+      group = { day, events: [], subtotal: 0 };
+      groups.push(group);
+    }
+    group.events.push(event);
+    if (!voidedIds.has(event.id)) group.subtotal += event.amount;
+  });
+  return groups;
+};
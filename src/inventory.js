@@ -0,0 +1,145 @@
+import { getDayKey } from './dates';
+
+// --- Store Upgrades ---
+// `timed` upgrades stay active for `durationDays` after purchase (buying again extends
+// them); `consumable` upgrades stack as a quantity and are spent one at a time.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const UPGRADES = [
+  { id: 'potion', name: 'Willpower Potion', cost: 500, desc: 'Reset a bad streak', kind: 'consumable' },
+  { id: 'blade', name: 'Productivity Blade', cost: 1200, desc: '+10% on coding tasks', kind: 'timed', durationDays: 7 },
+  { id: 'shield', name: 'Focus Shield', cost: 800, desc: 'Block 1 penalty/day', kind: 'timed', durationDays: 7 },
+];
+
+export const getUpgrade = (itemId) => UPGRADES.find(u => u.id === itemId);
+
+// `items` maps an upgrade id to `{ quantity }` or `{ activeFrom, expiresAt }`.
+// `restoredDays` are day keys a Willpower Potion has patched into the streak.
+export const EMPTY_INVENTORY = { items: {}, restoredDays: [] };
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The well-formed parts of a stored, synced or imported inventory row: known upgrades
+// in the shape of their kind, and day keys in `restoredDays`.
+export const normalizeInventory = (inventory) => {
+  const items = isPlainObject(inventory?.items) ? inventory.items : {};
+  const restoredDays = Array.isArray(inventory?.restoredDays) ? inventory.restoredDays : [];
+  return {
+    items: Object.fromEntries(UPGRADES.flatMap(item => {
+      const owned = items[item.id];
+      if (!isPlainObject(owned)) return [];
+      if (item.kind === 'consumable') {
+        return Number.isInteger(owned.quantity) && owned.quantity >= 0 ? [[item.id, { quantity: owned.quantity }]] : [];
+      }
+      const { activeFrom, expiresAt } = owned;
+      return isTimestamp(activeFrom) && isTimestamp(expiresAt) ? [[item.id, { activeFrom, expiresAt }]] : [];
+    })),
+    restoredDays: restoredDays.filter(day => typeof day === 'string' && DAY_KEY_PATTERN.test(day)),
+  };
+};
+
+export const addToInventory = (inventory, item, now = new Date()) => {
+  const owned = inventory.items[item.id] || {};
+
+  if (item.kind === 'consumable') {
+    return {
+      ...inventory,
+      items: { ...inventory.items, [item.id]: { quantity: (owned.quantity || 0) + 1 } },
+    };
+  }
+
+  const isActive = owned.expiresAt && Date.parse(owned.expiresAt) > now.getTime();
+  const start = isActive ? Date.parse(owned.expiresAt) : now.getTime();
+  return {
+    ...inventory,
+    items: {
+      ...inventory.items,
+      [item.id]: {
+        activeFrom: isActive ? owned.activeFrom : now.toISOString(),
+        expiresAt: new Date(start + item.durationDays * DAY_MS).toISOString(),
+      },
+    },
+  };
+};
+
+export const consumeItem = (inventory, itemId) => {
+  const quantity = inventory.items[itemId]?.quantity || 0;
+  if (quantity <= 0) return inventory;
+  return { ...inventory, items: { ...inventory.items, [itemId]: { quantity: quantity - 1 } } };
+};
+
+export const restoreStreakDay = (inventory, dayKey) => ({
+  ...consumeItem(inventory, 'potion'),
+  restoredDays: [...new Set([...inventory.restoredDays, dayKey])],
+});
+
+const isActiveAt = (owned, timestamp) => {
+  if (!owned?.expiresAt) return false;
+  const at = Date.parse(timestamp);
+  return Date.parse(owned.activeFrom) <= at && at < Date.parse(owned.expiresAt);
+};
+
+// Everything the Home screen should show as currently in effect.
+export const getActiveEffects = (inventory, now = new Date()) =>
+  UPGRADES.flatMap(item => {
+    const owned = inventory.items[item.id];
+    if (item.kind === 'consumable') {
+      return owned?.quantity > 0 ? [{ item, quantity: owned.quantity }] : [];
+    }
+    if (!isActiveAt(owned, now.toISOString())) return [];
+    const daysLeft = Math.ceil((Date.parse(owned.expiresAt) - now.getTime()) / DAY_MS);
+    return [{ item, daysLeft, expiresAt: owned.expiresAt }];
+  });
+
+// --- Effects Pipeline ---
+// Every new event runs through EFFECTS in order. An effect that applies returns the
+// adjusted amount; the event keeps its `baseAmount` and an `effects` note per change
+// so the ledger shows why an amount differs from the habit's price.
+
+const EFFECTS = [
+  {
+    itemId: 'blade',
+    applies: (event, { inventory }) =>
+      event.habitId === 'code' && event.amount > 0 && isActiveAt(inventory.items.blade, event.timestamp),
+    apply: (event) => Math.round(event.amount * 1.1),
+  },
+  {
+    itemId: 'shield',
+    applies: (event, { inventory, events, dayOptions }) => {
+      if (event.category !== 'penalty' || event.amount >= 0) return false;
+      if (!isActiveAt(inventory.items.shield, event.timestamp)) return false;
+      const day = getDayKey(event.timestamp, dayOptions);
+      return !events.some(e =>
+        e.effects?.some(effect => effect.itemId === 'shield') && getDayKey(e.timestamp, dayOptions) === day
+      );
+    },
+    apply: () => 0,
+  },
+];
+
+export const applyEffects = (event, context) =>
+  EFFECTS.reduce((current, effect) => {
+    if (!effect.applies(current, context)) return current;
+    const amount = effect.apply(current, context);
+    if (amount === current.amount) return current;
+
+    return {
+      ...current,
+      amount,
+      baseAmount: current.baseAmount ?? current.amount,
+      effects: [
+        ...(current.effects || []),
+        { itemId: effect.itemId, label: getUpgrade(effect.itemId).name, delta: amount - current.amount },
+      ],
+    };
+  }, event);
+
+export const describeEffects = (event, format) =>
+  (event.effects || []).map(effect =>
+    effect.itemId === 'shield'
+      ? `Blocked by ${effect.label}`
+      : `${effect.label} ${format.signed(effect.delta)}`
+  ).join(' · ');
@@ -0,0 +1,156 @@
+import { getDayKey } from './dates';
+import { createId } from './habits';
+
+// --- Event Ledger ---
+// The events array is the single source of truth for money. Balance, daily deltas
+// and lifetime totals are all folded from it by `applyEvent` and never stored as
+// independent counters.
+
+export const EMPTY_TOTALS = { balance: 0, earned: 0, fined: 0, spent: 0, count: 0 };
+
+// Money going out by choice (store upgrades, rewards, savings goals) is spending, not a fine.
+export const SPENDING_CATEGORIES = ['purchase', 'reward', 'goal'];
+
+// Events logged before categories were recorded are classified from their id and sign.
+export const getEventCategory = (event) => {
+  if (event.category) return event.category;
+  const habitId = String(event.habitId || '');
+  if (habitId.startsWith('buy-')) return 'purchase';
+  if (habitId.startsWith('reward-')) return 'reward';
+  if (habitId.startsWith('task-')) return 'task';
+  return event.amount >= 0 ? 'earning' : 'penalty';
+};
+
+export const applyEvent = (totals, event) => {
+  const outgoing = Math.max(-event.amount, 0);
+  const isSpending = SPENDING_CATEGORIES.includes(getEventCategory(event));
+
+  return {
+    balance: totals.balance + event.amount,
+    earned: totals.earned + Math.max(event.amount, 0),
+    fined: totals.fined + (isSpending ? 0 : outgoing),
+    spent: totals.spent + (isSpending ? outgoing : 0),
+    count: totals.count + 1,
+  };
+};
+
+// --- Voiding ---
+// Undo never deletes: it appends a reversal entry (`reverses: <event id>`) so the
+// history stays auditable. Redo reverses the reversal. A voided event and every
+// reversal cancel out, so the ledger folds only the events that are still active.
+
+export const isReversal = (event) => event.reverses !== undefined && event.reverses !== null;
+
+export const createReversal = (event) => ({
+  id: createId('void'),
+  reverses: event.id,
+  label: `Voided: ${event.label}`,
+  amount: -event.amount,
+  category: getEventCategory(event),
+  timestamp: new Date().toISOString(),
+  type: 'void',
+});
+
+// An event is voided while at least one of its reversals is itself still in force.
+export const getVoidedIds = (events) => {
+  const reversals = new Map();
+  events.forEach(event => {
+    if (!isReversal(event)) return;
+    reversals.set(event.reverses, [...(reversals.get(event.reverses) || []), event.id]);
+  });
+
+  const memo = new Map();
+  const isVoided = (id) => {
+    if (memo.has(id)) return memo.get(id);
+    memo.set(id, false);
+    const voided = (reversals.get(id) || []).some(reversalId => !isVoided(reversalId));
+    memo.set(id, voided);
+    return voided;
+  };
+  return new Set([...reversals.keys()].filter(isVoided));
+};
+
+// Returns the same array when nothing was ever voided, so memoized callers stay cheap.
+export const getActiveEvents = (events) => {
+  if (!events.some(isReversal)) return events;
+  const voided = getVoidedIds(events);
+  return events.filter(event => !isReversal(event) && !voided.has(event.id));
+};
+
+// Returns lifetime totals plus a snapshot per day:
+// `{ date, delta, earned, fined, spent, count, closingBalance }`.
+// Days are bucketed with the user's day-boundary preferences (see dates.js).
+// Callers memoize on the events array, so a render never re-folds unchanged history.
+export const buildLedger = (events, dayOptions) => {
+  const chronological = [...getActiveEvents(events)].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const days = new Map();
+  let totals = EMPTY_TOTALS;
+
+  chronological.forEach(event => {
+    totals = applyEvent(totals, event);
+
+    const date = getDayKey(event.timestamp, dayOptions);
+    const previous = days.get(date);
+    const dayTotals = applyEvent(
+      previous ? { ...previous, balance: previous.delta } : EMPTY_TOTALS,
+      event
+    );
+
+    days.set(date, {
+      date,
+      delta: dayTotals.balance,
+      earned: dayTotals.earned,
+      fined: dayTotals.fined,
+      spent: dayTotals.spent,
+      count: dayTotals.count,
+      closingBalance: totals.balance,
+    });
+  });
+
+  return { ...totals, days };
+};
+
+// Events are kept newest-first; backfilled entries are slotted in by timestamp.
+export const insertEvent = (events, event) => {
+  const index = events.findIndex(e => e.timestamp <= event.timestamp);
+  if (index === -1) return [...events, event];
+  return [...events.slice(0, index), event, ...events.slice(index)];
+};
+
+// --- Editing ---
+// Label, amount, time and note can be corrected in place. Every correction is kept
+// on the event as `edits: [{ at, changes: { field: [before, after] } }]`, so the
+// history still shows what was originally logged.
+
+export const EDITABLE_FIELDS = ['label', 'amount', 'timestamp', 'note'];
+
+// Returns the event with `changes` applied, or the same event when nothing differs.
+export const amendEvent = (event, changes) => {
+  const diff = Object.fromEntries(
+    EDITABLE_FIELDS
+      .filter(field => field in changes && changes[field] !== (event[field] ?? (field === 'note' ? '' : undefined)))
+      .map(field => [field, [event[field] ?? null, changes[field]]])
+  );
+  if (Object.keys(diff).length === 0) return event;
+
+  return {
+    ...event,
+    ...Object.fromEntries(Object.entries(diff).map(([field, [, after]]) => [field, after])),
+    edits: [...(event.edits || []), { at: new Date().toISOString(), changes: diff }],
+  };
+};
+
+// Swaps in an amended event, re-slotting it when its time changed.
+export const replaceEvent = (events, event) =>
+  insertEvent(events.filter(e => e.id !== event.id), event);
+
+export const getDaySnapshot = (ledger, date) =>
+  ledger.days.get(date) || { date, delta: 0, earned: 0, fined: 0, spent: 0, count: 0 };
+
+// Compares a persisted balance against the one derived from the events.
+// `drift` is how far the stored value was off; the ledger value always wins.
+export const reconcileBalance = (storedBalance, events) => {
+  const { balance } = buildLedger(events);
+  const drift = Number.isFinite(storedBalance) ? storedBalance - balance : 0;
+  return { balance, drift };
+};
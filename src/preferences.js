@@ -0,0 +1,76 @@
+import { getDefaultTimeZone } from './dates';
+import { DEFAULT_STREAK_RULE, DEFAULT_LEVEL_CURVE } from './progression';
+import { HOUR_CYCLES } from './format';
+import { THEME_MODES } from './theme';
+
+// --- User Preferences ---
+// Persisted as a single `preferences` row in the settings store.
+
+export const DEFAULT_PREFERENCES = {
+  dayStartHour: 0,
+  timeZone: getDefaultTimeZone(),
+  streakRule: DEFAULT_STREAK_RULE,
+  levelCurve: DEFAULT_LEVEL_CURVE,
+  // Rewards that would leave less than this in the wallet ask for confirmation
+  spendingReserve: 0,
+  // Logs younger than this can be voided without a confirmation
+  undoWindowMinutes: 3,
+  // Display: ISO 4217 code, BCP 47 locale ('' = browser default), 'auto' | 'h12' | 'h23'
+  currency: 'INR',
+  locale: '',
+  hourCycle: 'auto',
+  theme: 'system',
+};
+
+// --- Validation ---
+// Preferences also arrive from backups and sync pulls. A bad time zone or currency
+// makes the Intl formatters throw on every render, so each value is checked here.
+
+// Whether Intl accepts `options`; unknown zones and currencies throw a RangeError
+const isAccepted = (create) => {
+  try {
+    create();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isNumberAtLeast = (min) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min;
+
+const PREFERENCE_CHECKS = {
+  dayStartHour: (value) => Number.isInteger(value) && value >= 0 && value <= 23,
+  timeZone: (value) => typeof value === 'string' && isAccepted(() => new Intl.DateTimeFormat('en-US', { timeZone: value })),
+  streakRule: {
+    minEarnings: isNumberAtLeast(0),
+    maxPenalties: isNumberAtLeast(0),
+  },
+  levelCurve: {
+    base: isNumberAtLeast(1),
+    growth: isNumberAtLeast(1),
+  },
+  spendingReserve: isNumberAtLeast(0),
+  undoWindowMinutes: isNumberAtLeast(0),
+  currency: (value) => typeof value === 'string' && isAccepted(() => new Intl.NumberFormat('en-US', { style: 'currency', currency: value })),
+  locale: (value) => value === '' || (typeof value === 'string' && isAccepted(() => Intl.getCanonicalLocales(value))),
+  hourCycle: (value) => HOUR_CYCLES.some(cycle => cycle.id === value),
+  theme: (value) => THEME_MODES.some(mode => mode.id === value),
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Fills in anything added since the preferences were saved, including new keys
+// inside nested groups like `streakRule`. Unknown keys are dropped and invalid values
+// fall back to their defaults.
+export const mergePreferences = (saved = {}) => {
+  const source = isPlainObject(saved) ? saved : {};
+  return Object.fromEntries(Object.entries(PREFERENCE_CHECKS).map(([key, check]) => {
+    const fallback = DEFAULT_PREFERENCES[key];
+    const value = source[key];
+    if (typeof check === 'function') return [key, check(value) ? value : fallback];
+    const group = isPlainObject(value) ? value : {};
+    return [key, Object.fromEntries(Object.entries(check).map(([field, checkField]) =>
+      [field, checkField(group[field]) ? group[field] : fallback[field]]
+    ))];
+  }));
+};
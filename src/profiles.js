@@ -0,0 +1,77 @@
+import { createId } from './habits';
+
+// --- Profiles ---
+// Each profile keeps its ledger, habits, tasks and settings in its own IndexedDB
+// database (see storage.js). The list of profiles itself is tiny and is needed before
+// any database is opened, so it lives in localStorage.
+
+const PROFILES_KEY = 'delusional_rpg_profiles';
+
+// The first profile owns the original database, so existing data needs no migration.
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Full class names so Tailwind keeps them in the build.
+export const AVATAR_COLORS = {
+  teal: 'from-teal-400 to-cyan-300 shadow-teal-200',
+  purple: 'from-purple-400 to-fuchsia-300 shadow-purple-200',
+  orange: 'from-orange-400 to-amber-300 shadow-orange-200',
+  rose: 'from-rose-400 to-pink-300 shadow-rose-200',
+  sky: 'from-sky-400 to-blue-300 shadow-sky-200',
+  slate: 'from-slate-500 to-slate-400 shadow-slate-200',
+};
+
+const DEFAULT_STATE = {
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Delusional Emperor', color: 'teal', pinHash: null }],
+  activeId: DEFAULT_PROFILE_ID,
+};
+
+export const getInitials = (name) =>
+  name.trim().split(/\s+/).slice(0, 2).map(word => word[0]).join('').toUpperCase() || '?';
+
+export const normalizeProfile = (profile) => ({
+  id: profile.id || createId('profile'),
+  name: (profile.name || '').trim() || 'Player',
+  color: AVATAR_COLORS[profile.color] ? profile.color : 'teal',
+  pinHash: profile.pinHash || null,
+});
+
+export const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (!saved || !Array.isArray(saved.profiles) || saved.profiles.length === 0) return DEFAULT_STATE;
+    const profiles = saved.profiles.map(normalizeProfile);
+    const activeId = profiles.some(p => p.id === saved.activeId) ? saved.activeId : profiles[0].id;
+    return { profiles, activeId };
+  } catch {
+    return DEFAULT_STATE;
+  }
+};
+
+export const saveProfiles = (state) => {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.error('Failed to save profiles', err);
+  }
+};
+
+// --- PIN Lock ---
+// A PIN keeps housemates from logging on each other's behalf; it is not encryption.
+// Only a salted SHA-256 hash is stored.
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+// The profile left unlocked when the profile list changes from `current` to `next`.
+// Edits made from inside the active profile (like setting its PIN) keep it unlocked;
+// switching to another profile locks them all, so coming back asks for the PIN again.
+export const getUnlockedId = (current, next) =>
+  next.activeId === current.activeId ? next.activeId : null;
+
+export const hashPin = async (profileId, pin) => {
+  const bytes = new TextEncoder().encode(`${profileId}:${pin}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const verifyPin = async (profile, pin) =>
+  !profile.pinHash || (await hashPin(profile.id, pin)) === profile.pinHash;
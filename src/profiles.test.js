@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { getUnlockedId } from './profiles';
+
+describe('getUnlockedId', () => {
+  const profiles = [
+    { id: 'a', name: 'A', color: 'teal', pinHash: 'hash' },
+    { id: 'b', name: 'B', color: 'rose', pinHash: null },
+  ];
+  const onA = { profiles, activeId: 'a' };
+  const onB = { profiles, activeId: 'b' };
+
+  it('keeps the active profile unlocked through its own edits', () => {
+    const renamed = { ...onA, profiles: [{ ...profiles[0], name: 'Renamed' }, profiles[1]] };
+    expect(getUnlockedId(onA, renamed)).toBe('a');
+  });
+
+  it('locks a profile again after switching A → B → A', () => {
+    // A was unlocked with its PIN, then the user switched to B and back
+    const afterLeavingA = getUnlockedId(onA, onB);
+    expect(afterLeavingA).toBe(null);
+    const afterReturning = getUnlockedId(onB, onA);
+    expect(afterReturning).not.toBe('a');
+  });
+});
@@ -0,0 +1,152 @@
+import { getDayKey, shiftDay } from './dates';
+import { getEventCategory } from './ledger';
+
+// --- Progression ---
+// Streaks and levels are computed from the event history on every change, never
+// stored as counters, so undoing or backfilling a log corrects them automatically.
+
+// A day keeps the overall streak alive when it has at least `minEarnings` positive
+// entries and no more than `maxPenalties` penalty entries.
+export const DEFAULT_STREAK_RULE = { minEarnings: 1, maxPenalties: 0 };
+
+// XP is lifetime earnings. Reaching level 2 costs `base` XP and every following
+// level costs `growth` times the previous one.
+export const DEFAULT_LEVEL_CURVE = { base: 500, growth: 1.5 };
+
+export const getLevel = (xp, { base, growth } = DEFAULT_LEVEL_CURVE) => {
+  let level = 1;
+  let floor = 0;
+  let cost = Math.max(base, 1);
+
+  while (xp >= floor + cost) {
+    floor += cost;
+    cost *= Math.max(growth, 1);
+    level += 1;
+  }
+
+  const xpIntoLevel = Math.round(xp - floor);
+  const xpForNext = Math.round(cost);
+  return { level, xp, xpIntoLevel, xpForNext, progress: (xp - floor) / cost };
+};
+
+const indexDays = (events, dayOptions) => {
+  const days = new Map();
+  events.forEach(event => {
+    const date = getDayKey(event.timestamp, dayOptions);
+    if (!days.has(date)) days.set(date, { earnings: 0, penalties: 0, habits: new Set() });
+    const day = days.get(date);
+    const category = getEventCategory(event);
+
+    if (category === 'penalty') {
+      // A penalty absorbed by the Focus Shield (amount 0) doesn't count against the day
+      if (event.amount < 0) day.penalties += 1;
+    } else if (event.amount > 0) {
+      day.earnings += 1;
+    }
+    if (category === 'earning' && event.habitId) day.habits.add(event.habitId);
+  });
+  return days;
+};
+
+// Walks backwards from today. Today never breaks a streak just by being unfinished:
+// it only counts once it qualifies, and only ends the streak if it already failed.
+const measureStreak = (qualifies, fails, todayKey, firstDay) => {
+  let current = 0;
+  let day = todayKey;
+
+  if (qualifies(day)) current += 1;
+  else if (fails(day)) return { current: 0, pendingToday: false };
+  const pendingToday = current === 0;
+
+  day = shiftDay(day, -1);
+  while (firstDay && day >= firstDay && qualifies(day)) {
+    current += 1;
+    day = shiftDay(day, -1);
+  }
+  return { current, pendingToday };
+};
+
+const measureBest = (qualifies, firstDay, todayKey) => {
+  let best = 0;
+  let run = 0;
+  for (let day = firstDay; day && day <= todayKey; day = shiftDay(day, 1)) {
+    run = qualifies(day) ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+};
+
+// The day that ended the most recent streak, if a streak ran right up to it.
+// This is what a Willpower Potion patches.
+const findRestorableDay = (qualifies, todayKey, pendingToday, firstDay) => {
+  let day = pendingToday ? shiftDay(todayKey, -1) : todayKey;
+  while (firstDay && day >= firstDay && qualifies(day)) day = shiftDay(day, -1);
+  const before = shiftDay(day, -1);
+  return firstDay && before >= firstDay && qualifies(before) ? day : null;
+};
+
+const createDayQualifier = (days, streakRule, restoredDays) => {
+  const rule = { ...DEFAULT_STREAK_RULE, ...streakRule };
+  const restored = new Set(restoredDays);
+  return (date) => {
+    if (restored.has(date)) return true;
+    const day = days.get(date);
+    return Boolean(day) && day.earnings >= rule.minEarnings && day.penalties <= rule.maxPenalties;
+  };
+};
+
+// Whether each of `dates` kept the overall streak, e.g. for period reviews.
+export const getStreakDays = (events, dates, { dayOptions, streakRule, restoredDays = [] }) => {
+  const dayQualifies = createDayQualifier(indexDays(events, dayOptions), streakRule, restoredDays);
+  return dates.map(date => ({ date, kept: dayQualifies(date) }));
+};
+
+export const computeProgression = (events, habits, { todayKey, dayOptions, streakRule, levelCurve, earned, restoredDays = [] }) => {
+  const days = indexDays(events, dayOptions);
+  const firstDay = [...days.keys()].sort()[0];
+  const rule = { ...DEFAULT_STREAK_RULE, ...streakRule };
+  const restored = new Set(restoredDays);
+
+  const dayQualifies = createDayQualifier(days, streakRule, restoredDays);
+  const dayFails = (date) => !restored.has(date) && (days.get(date)?.penalties || 0) > rule.maxPenalties;
+
+  const current = measureStreak(dayQualifies, dayFails, todayKey, firstDay);
+  const overall = {
+    ...current,
+    best: measureBest(dayQualifies, firstDay, todayKey),
+    restorableDay: findRestorableDay(dayQualifies, todayKey, current.pendingToday, firstDay),
+  };
+
+  const habitStreaks = habits
+    .filter(h => h.category === 'earning' && !h.archived)
+    .map(habit => {
+      const logged = (date) => Boolean(days.get(date)?.habits.has(habit.id));
+      return {
+        habitId: habit.id,
+        label: habit.label,
+        icon: habit.icon,
+        ...measureStreak(logged, () => false, todayKey, firstDay),
+        best: measureBest(logged, firstDay, todayKey),
+      };
+    });
+
+  return {
+    streak: overall,
+    habitStreaks,
+    level: getLevel(earned, { ...DEFAULT_LEVEL_CURVE, ...levelCurve }),
+  };
+};
+
+// Compares two progression summaries and returns the notable changes, e.g. for toasts.
+export const diffProgression = (previous, next) => {
+  const changes = [];
+  if (!previous) return changes;
+
+  if (next.level > previous.level) {
+    changes.push({ type: 'level-up', level: next.level });
+  }
+  if (previous.streak > 0 && next.streak === 0) {
+    changes.push({ type: 'streak-broken', streak: previous.streak });
+  }
+  return changes;
+};
@@ -0,0 +1,111 @@
+import { getDayKey, getDayTimestamp, shiftDay } from './dates';
+import { createId } from './habits';
+
+// --- Reminders ---
+// Pages cannot ask the browser to fire a notification later, so reminders are checked
+// on a timer while the app is open (a background tab is enough) and shown through the
+// service worker. Slots missed by more than GRACE_MINUTES while the app was closed are
+// dropped instead of arriving all at once.
+
+export const REMINDER_KINDS = ['daily', 'interval'];
+
+const GRACE_MINUTES = 30;
+
+export const DEFAULT_REMINDERS = [
+  { id: 'water', label: 'Drink water', habitId: 'water', kind: 'interval', time: '08:00', until: '22:00', everyHours: 2, enabled: false, lastFiredAt: null },
+  { id: 'log-day', label: 'Log your day', habitId: null, kind: 'daily', time: '22:00', until: '22:00', everyHours: 2, enabled: false, lastFiredAt: null },
+];
+
+const isTime = (value) => /^\d{2}:\d{2}$/.test(value || '');
+
+export const normalizeReminder = (reminder) => ({
+  id: reminder.id || createId('reminder'),
+  label: (reminder.label || '').trim() || 'Reminder',
+  habitId: reminder.habitId || null,
+  kind: REMINDER_KINDS.includes(reminder.kind) ? reminder.kind : 'daily',
+  time: isTime(reminder.time) ? reminder.time : '09:00',
+  until: isTime(reminder.until) ? reminder.until : '22:00',
+  everyHours: Math.max(parseInt(reminder.everyHours, 10) || 1, 1),
+  enabled: Boolean(reminder.enabled),
+  lastFiredAt: reminder.lastFiredAt || null,
+});
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Wall-clock times the reminder fires at on any day.
+export const getReminderTimes = (reminder) => {
+  if (reminder.kind === 'daily') return [reminder.time];
+  const times = [];
+  for (let minutes = toMinutes(reminder.time); minutes <= toMinutes(reminder.until); minutes += reminder.everyHours * 60) {
+    times.push(toTime(minutes));
+  }
+  return times;
+};
+
+// `format` is a display formatter (see format.js).
+export const describeReminder = (reminder, format) => {
+  if (reminder.kind === 'daily') return `Daily at ${format.clock(reminder.time)}`;
+  return `Every ${reminder.everyHours}h, ${format.clock(reminder.time)}–${format.clock(reminder.until)}`;
+};
+
+// An event logged since the previous slot of the same day (or at all that day, for a
+// daily reminder or one without a habit) means there is nothing to remind about.
+const isAlreadyLogged = (reminder, slot, previous, events, dayOptions) => events.some(event => {
+  if (reminder.habitId && event.habitId !== reminder.habitId) return false;
+  if (getDayKey(event.timestamp, dayOptions) !== slot.day) return false;
+  const since = reminder.habitId && previous?.day === slot.day ? previous.at : -Infinity;
+  return Date.parse(event.timestamp) > since;
+});
+
+// Returns `{ reminder, skip }` for every enabled reminder with a slot that came due
+// since it last fired. Callers mark all of them fired and only notify the unskipped.
+export const getDueReminders = (reminders, events, dayOptions, now) => {
+  const todayKey = getDayKey(new Date(now).toISOString(), dayOptions);
+
+  return reminders.flatMap(reminder => {
+    if (!reminder.enabled) return [];
+
+    const slots = [shiftDay(todayKey, -1), todayKey]
+      .flatMap(day => getReminderTimes(reminder).map(time => ({ day, at: Date.parse(getDayTimestamp(day, time, dayOptions)) })))
+      .filter(slot => slot.at <= now)
+      .sort((a, b) => b.at - a.at);
+    const [slot, previous] = slots;
+
+    if (!slot || now - slot.at > GRACE_MINUTES * 60 * 1000) return [];
+    if (reminder.lastFiredAt && Date.parse(reminder.lastFiredAt) >= slot.at) return [];
+
+    return [{ reminder, skip: isAlreadyLogged(reminder, slot, previous, events, dayOptions) }];
+  });
+};
+
+// --- Notifications ---
+
+export const getNotificationPermission = () =>
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+export const showReminder = async (reminder) => {
+  if (getNotificationPermission() !== 'granted') return;
+
+  const options = {
+    body: reminder.habitId ? 'Not logged yet. Tap to open the app.' : 'Take a minute to log today.',
+    tag: `reminder-${reminder.id}`,
+    icon: `${import.meta.env.BASE_URL}pwa-192x192.png`,
+  };
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    await registration.showNotification(reminder.label, options);
+  } else {
+    new Notification(reminder.label, options);
+  }
+};
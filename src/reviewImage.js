@@ -0,0 +1,94 @@
+import { describeReview, formatPeriodLabel, MOODS } from './reviews';
+
+// --- Review Card Image ---
+// Draws a review onto a canvas for sharing, with no rendering library: a fixed
+// portrait card with the headline figures, the summary lines and the reflection.
+
+const WIDTH = 1080;
+const HEIGHT = 1350;
+const PAD = 80;
+const FONT = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+
+// Splits text into lines that fit `maxWidth`, at most `maxLines` with an ellipsis.
+const wrapText = (ctx, text, maxWidth, maxLines) => {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  return [...lines.slice(0, maxLines - 1), `${lines[maxLines - 1]}…`];
+};
+
+// Resolves to a PNG Blob. The card keeps the light palette whatever the app theme.
+export const renderReviewImage = (review, comparison, note, format) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#FBFCFE';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.fillStyle = '#0EA5A4';
+  ctx.fillRect(0, 0, WIDTH, 16);
+
+  let y = PAD + 40;
+  ctx.fillStyle = '#6B7280';
+  ctx.font = `600 36px ${FONT}`;
+  ctx.fillText(`DELUSIONAL RPG · ${review.period === 'week' ? 'WEEKLY' : 'MONTHLY'} REVIEW`, PAD, y);
+
+  y += 80;
+  ctx.fillStyle = '#0F172A';
+  ctx.font = `700 64px ${FONT}`;
+  ctx.fillText(formatPeriodLabel(review.period, review.key, format), PAD, y);
+
+  y += 150;
+  ctx.fillStyle = review.net >= 0 ? '#16A34A' : '#F97316';
+  ctx.font = `800 140px ${FONT}`;
+  ctx.fillText(format.signed(review.net), PAD, y);
+
+  y += 50;
+  ctx.font = `400 36px ${FONT}`;
+  describeReview(review, comparison, format).slice(1).forEach(line => {
+    y += 64;
+    ctx.fillStyle = '#334155';
+    ctx.fillText(line, PAD, y);
+  });
+
+  if (review.topHabits.length > 0) {
+    y += 96;
+    ctx.fillStyle = '#6B7280';
+    ctx.font = `600 30px ${FONT}`;
+    ctx.fillText('MOST LOGGED', PAD, y);
+    y += 56;
+    ctx.fillStyle = '#0F172A';
+    ctx.font = `500 38px ${FONT}`;
+    ctx.fillText(review.topHabits.map(h => `${h.label} ×${h.count}`).join('  ·  '), PAD, y, WIDTH - PAD * 2);
+  }
+
+  const mood = MOODS.find(m => m.value === note?.mood);
+  if (mood || note?.text) {
+    y += 96;
+    ctx.fillStyle = '#6B7280';
+    ctx.font = `600 30px ${FONT}`;
+    ctx.fillText(mood ? `REFLECTION · MOOD ${mood.value}/5 (${mood.label.toUpperCase()})` : 'REFLECTION', PAD, y);
+    ctx.fillStyle = '#0F172A';
+    ctx.font = `italic 400 38px ${FONT}`;
+    const maxLines = Math.max(Math.floor((HEIGHT - PAD - y) / 54) - 1, 1);
+    wrapText(ctx, note?.text || '', WIDTH - PAD * 2, maxLines).forEach(line => {
+      y += 54;
+      ctx.fillText(line, PAD, y);
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the image')), 'image/png');
+  });
+};
@@ -0,0 +1,162 @@
+import { getDayKey, getWeekKey, shiftDay } from './dates';
+import { getEventCategory } from './ledger';
+import { eachDay } from './analytics';
+import { getStreakDays } from './progression';
+import { getEventQuantity } from './habits';
+
+// --- Period Reviews ---
+// A review summarizes one finished week (keyed by its Monday) or month (YYYY-MM).
+// Reviews are rebuilt from the ledger whenever they are shown, so voids and backfills
+// are always reflected; only the user's reflection and mood are stored, in
+// `reviewNotes` keyed by review id ("week:2026-10-12").
+
+export const REVIEW_PERIODS = ['week', 'month'];
+
+export const MOODS = [
+  { value: 1, label: 'Rough' },
+  { value: 2, label: 'Meh' },
+  { value: 3, label: 'Okay' },
+  { value: 4, label: 'Good' },
+  { value: 5, label: 'Great' },
+];
+
+export const getReviewId = (period, key) => `${period}:${key}`;
+
+export const getPeriodKey = (day, period) => period === 'month' ? day.slice(0, 7) : getWeekKey(day);
+
+export const getPeriodRange = (period, key) => {
+  if (period === 'week') return { from: key, to: shiftDay(key, 6) };
+  const [year, month] = key.split('-').map(Number);
+  const next = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  return { from: `${key}-01`, to: shiftDay(next, -1) };
+};
+
+export const shiftPeriod = (period, key, offset) => {
+  if (period === 'week') return shiftDay(key, offset * 7);
+  const [year, month] = key.split('-').map(Number);
+  const index = year * 12 + (month - 1) + offset;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+// `format` is a display formatter (see format.js).
+export const formatPeriodLabel = (period, key, format) =>
+  period === 'month' ? format.day(key, 'monthYear') : `Week of ${format.day(key)}`;
+
+// The most recently finished period, or null when nothing was logged before it ended.
+export const getLatestPeriod = (period, todayKey, firstDay) => {
+  const key = shiftPeriod(period, getPeriodKey(todayKey, period), -1);
+  return firstDay && getPeriodRange(period, key).to >= firstDay ? key : null;
+};
+
+// Finished periods that overlap the ledger, newest first.
+export const getFinishedPeriods = (period, todayKey, firstDay) => {
+  const keys = [];
+  let key = getLatestPeriod(period, todayKey, firstDay);
+  while (key && getPeriodRange(period, key).to >= firstDay) {
+    keys.push(key);
+    key = shiftPeriod(period, key, -1);
+  }
+  return keys;
+};
+
+const inRange = (day, range) => day >= range.from && day <= range.to;
+
+// Events of one category grouped by habit (or label), most logged first.
+const rankLogs = (events, category) => {
+  const entries = new Map();
+  events.forEach(event => {
+    if (getEventCategory(event) !== category) return;
+    const key = event.habitId || event.label;
+    const entry = entries.get(key) || { key, label: event.label, count: 0, total: 0 };
+    entry.count += getEventQuantity(event);
+    entry.total += event.amount;
+    entries.set(key, entry);
+  });
+  return [...entries.values()].sort((a, b) => b.count - a.count || Math.abs(b.total) - Math.abs(a.total)).slice(0, 3);
+};
+
+// Kept days and breaks (a kept day followed by a missed one). The day before the
+// period is passed in too, so a streak carried in and lost on day one is a break.
+const summarizeStreak = ([before, ...streakDays]) => ({
+  kept: streakDays.filter(d => d.kept).length,
+  total: streakDays.length,
+  breaks: streakDays.filter((d, i) => !d.kept && (i === 0 ? before.kept : streakDays[i - 1].kept)).length,
+});
+
+// Net change alone, cheap enough for listing every past period.
+export const getPeriodNet = (ledger, period, key) =>
+  eachDay(getPeriodRange(period, key)).reduce((sum, day) => sum + (ledger.days.get(day)?.delta || 0), 0);
+
+// `events` should be the active events; `ledger` is the matching buildLedger result.
+export const buildReview = (period, key, { events, ledger, tasks, dayOptions, streakRule, restoredDays }) => {
+  const range = getPeriodRange(period, key);
+  const days = eachDay(range);
+  const snapshots = days.map(day => ledger.days.get(day)).filter(Boolean);
+  const periodEvents = events.filter(e => inRange(getDayKey(e.timestamp, dayOptions), range));
+  const ranked = [...snapshots].sort((a, b) => b.delta - a.delta);
+  const streakDays = getStreakDays(events, [shiftDay(range.from, -1), ...days], { dayOptions, streakRule, restoredDays });
+  const taskDay = (timestamp) => timestamp && getDayKey(timestamp, dayOptions);
+
+  return {
+    id: getReviewId(period, key),
+    period,
+    key,
+    range,
+    net: snapshots.reduce((sum, s) => sum + s.delta, 0),
+    earned: snapshots.reduce((sum, s) => sum + s.earned, 0),
+    fined: snapshots.reduce((sum, s) => sum + s.fined, 0),
+    spent: snapshots.reduce((sum, s) => sum + s.spent, 0),
+    activeDays: snapshots.length,
+    bestDay: ranked.length > 0 ? { day: ranked[0].date, delta: ranked[0].delta } : null,
+    worstDay: ranked.length > 1 ? { day: ranked[ranked.length - 1].date, delta: ranked[ranked.length - 1].delta } : null,
+    topHabits: rankLogs(periodEvents, 'earning'),
+    topPenalties: rankLogs(periodEvents, 'penalty'),
+    streak: summarizeStreak(streakDays),
+    tasks: {
+      created: tasks.filter(t => inRange(taskDay(t.createdAt), range)).length,
+      completed: tasks.filter(t => t.completed && inRange(taskDay(t.completedAt), range)).length,
+    },
+  };
+};
+
+// Differences against the previous review for the figures worth comparing.
+export const compareReviews = (review, previous) => previous && ({
+  net: review.net - previous.net,
+  earned: review.earned - previous.earned,
+  fined: review.fined - previous.fined,
+  kept: review.streak.kept - previous.streak.kept,
+  completed: review.tasks.completed - previous.tasks.completed,
+});
+
+// Plain lines shared by the Markdown and image exports.
+export const describeReview = (review, comparison, format) => [
+  `Net change: ${format.signed(review.net)}${comparison ? ` (${format.signed(comparison.net)} vs previous)` : ''}`,
+  `Earned ${format.money(review.earned)} · Fined ${format.money(review.fined)} · Spent ${format.money(review.spent)}`,
+  review.bestDay && `Best day: ${format.day(review.bestDay.day, 'weekday')} (${format.signed(review.bestDay.delta)})`,
+  review.worstDay && `Worst day: ${format.day(review.worstDay.day, 'weekday')} (${format.signed(review.worstDay.delta)})`,
+  `Streak kept on ${review.streak.kept} of ${review.streak.total} days${review.streak.breaks > 0 ? `, broken ${review.streak.breaks}×` : ''}`,
+  `Missions: ${review.tasks.completed} completed, ${review.tasks.created} created`,
+].filter(Boolean);
+
+export const reviewToMarkdown = (review, comparison, note, format) => {
+  const list = (entries) => entries.length > 0
+    ? entries.map(e => `- ${e.label} ×${e.count} (${format.signed(e.total)})`)
+    : ['- None'];
+  const mood = MOODS.find(m => m.value === note?.mood);
+
+  return [
+    `# ${formatPeriodLabel(review.period, review.key, format)}`,
+    '',
+    ...describeReview(review, comparison, format).map(line => `- ${line}`),
+    '',
+    '## Most logged habits',
+    ...list(review.topHabits),
+    '',
+    '## Penalties',
+    ...list(review.topPenalties),
+    ...(mood || note?.text ? ['', '## Reflection'] : []),
+    ...(mood ? [`Mood: ${mood.value}/5 (${mood.label})`] : []),
+    ...(note?.text ? ['', note.text] : []),
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,72 @@
+import { getDayKey, getWeekKey } from './dates';
+import { createId } from './habits';
+
+// --- Rewards Shop ---
+// Real-world treats bought with earned balance. Purchases are ordinary ledger events
+// (category `reward`, habitId `reward-<id>`), so limits and cooldowns are always
+// checked against the event history rather than a separate counter.
+
+export const REWARD_LIMIT_PERIODS = ['day', 'week'];
+
+export const DEFAULT_REWARDS = [
+  { id: 'episode', name: '1 episode of a show', price: 150, icon: 'Home', cooldownHours: 0, limit: { count: 2, period: 'day' } },
+  { id: 'coffee', name: 'Café coffee', price: 250, icon: 'Coffee', cooldownHours: 24, limit: null },
+  { id: 'pizza', name: 'Order pizza', price: 600, icon: 'ShoppingBag', cooldownHours: 0, limit: { count: 1, period: 'week' } },
+];
+
+export const normalizeReward = (reward) => {
+  const limitCount = parseInt(reward.limit?.count, 10) || 0;
+  return {
+    id: reward.id || createId('reward'),
+    name: (reward.name || '').trim() || 'Untitled Reward',
+    price: Math.abs(parseInt(reward.price, 10) || 0),
+    icon: reward.icon || 'ShoppingBag',
+    cooldownHours: Math.max(Number(reward.cooldownHours) || 0, 0),
+    limit: limitCount > 0
+      ? { count: limitCount, period: REWARD_LIMIT_PERIODS.includes(reward.limit.period) ? reward.limit.period : 'day' }
+      : null,
+  };
+};
+
+export const getRewardEventId = (rewardId) => `reward-${rewardId}`;
+
+const getPeriodKey = (timestamp, period, dayOptions) => {
+  const day = getDayKey(timestamp, dayOptions);
+  return period === 'week' ? getWeekKey(day) : day;
+};
+
+// Returns `{ allowed, reason, belowReserve, remaining }` for buying `reward` right now.
+// `belowReserve` doesn't block the purchase; the caller asks the user to confirm.
+// `format` is a display formatter (see format.js) for the reason text.
+export const checkRewardPurchase = (reward, { events, balance, reserve = 0, dayOptions, format, now = new Date() }) => {
+  const purchases = events.filter(e => e.habitId === getRewardEventId(reward.id) && e.amount < 0);
+  const remaining = balance - reward.price;
+
+  if (balance < reward.price) {
+    return { allowed: false, reason: `Need ${format.money(reward.price - balance)} more`, belowReserve: false, remaining };
+  }
+
+  if (reward.cooldownHours > 0 && purchases.length > 0) {
+    const last = Math.max(...purchases.map(e => Date.parse(e.timestamp)));
+    const readyAt = last + reward.cooldownHours * 60 * 60 * 1000;
+    if (readyAt > now.getTime()) {
+      const hoursLeft = Math.ceil((readyAt - now.getTime()) / (60 * 60 * 1000));
+      return { allowed: false, reason: `Cooldown: ${hoursLeft}h left`, belowReserve: false, remaining };
+    }
+  }
+
+  if (reward.limit) {
+    const period = getPeriodKey(now.toISOString(), reward.limit.period, dayOptions);
+    const used = purchases.filter(e => getPeriodKey(e.timestamp, reward.limit.period, dayOptions) === period).length;
+    if (used >= reward.limit.count) {
+      return { allowed: false, reason: `Limit reached (${reward.limit.count}/${reward.limit.period})`, belowReserve: false, remaining };
+    }
+  }
+
+  return { allowed: true, reason: null, belowReserve: remaining < reserve, remaining };
+};
+
+export const describeRewardRules = (reward) => [
+  reward.limit && `${reward.limit.count}× per ${reward.limit.period}`,
+  reward.cooldownHours > 0 && `${reward.cooldownHours}h cooldown`,
+].filter(Boolean).join(' · ');
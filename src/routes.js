@@ -0,0 +1,73 @@
+import { REVIEW_PERIODS } from './reviews';
+
+// --- Routes ---
+// Every screen has a URL, so refreshing, the back button and links land where they
+// point. Paths are relative to the base the app is served from (see vite.config.js):
+//
+//   /                      Home, today
+//   /day/2025-03-14        Home showing a past day
+//   /history/<eventId>     A history list with an event's detail sheet open (also earned/, used/)
+//   /reviews/week/<key>    A weekly or monthly review (the latest without a key)
+//   /goals                 Any other screen by its tab id
+//
+// Action URLs do one thing and then land on Home, for home-screen and manifest shortcuts:
+//
+//   /log/water?qty=2       logs a habit (one unit without `qty`)
+
+// Where the app is served from, with a trailing slash ("/" locally, "/<repo>/" on GitHub Pages)
+export const BASE_PATH = import.meta.env.BASE_URL;
+
+export const ROUTE_TABS = [
+  'home', 'earned', 'used', 'history', 'todo', 'stats', 'reviews', 'profile', 'habits', 'rewards',
+  'settings', 'goals', 'rules', 'profiles', 'reminders', 'sync', 'data', 'challenges',
+];
+
+const HISTORY_TABS = ['earned', 'used', 'history'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Largest `qty` an action URL may log; anything else (fractions, 1e9...) logs one unit
+const MAX_LOG_QUANTITY = 99;
+
+export const HOME_ROUTE = { tab: 'home' };
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return '';
+  }
+};
+
+// Reads a route from `window.location` (or anything with `pathname` and `search`).
+// Unknown paths fall back to Home.
+export const parseRoute = ({ pathname, search }, base) => {
+  const relative = pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+  const [head, ...rest] = relative.split('/').filter(Boolean).map(decodeSegment);
+
+  if (!head) return HOME_ROUTE;
+  if (head === 'day' && DAY_PATTERN.test(rest[0])) return { tab: 'home', day: rest[0] };
+  if (head === 'log' && rest[0]) {
+    const quantity = Number(new URLSearchParams(search).get('qty'));
+    const isValid = Number.isInteger(quantity) && quantity > 0 && quantity <= MAX_LOG_QUANTITY;
+    return { action: 'log', habitId: rest[0], quantity: isValid ? quantity : 1 };
+  }
+  if (HISTORY_TABS.includes(head)) return { tab: head, eventId: rest[0] || null };
+  if (head === 'reviews') {
+    return { tab: 'reviews', period: REVIEW_PERIODS.includes(rest[0]) ? rest[0] : 'week', key: rest[1] || null };
+  }
+  return ROUTE_TABS.includes(head) ? { tab: head } : HOME_ROUTE;
+};
+
+const getSegments = (route) => {
+  if (route.tab === 'home') return route.day ? ['day', route.day] : [];
+  if (HISTORY_TABS.includes(route.tab)) return route.eventId ? [route.tab, route.eventId] : [route.tab];
+  if (route.tab === 'reviews') return ['reviews', route.period || 'week', ...(route.key ? [route.key] : [])];
+  return [route.tab];
+};
+
+// `base` ends with a slash, like Vite's BASE_URL
+export const buildPath = (route, base) => base + getSegments(route).map(encodeURIComponent).join('/');
+
+// Path of an action URL that logs `quantity` of a habit.
+export const buildLogPath = (habitId, base, quantity = 1) =>
+  `${base}log/${encodeURIComponent(habitId)}${quantity === 1 ? '' : `?qty=${quantity}`}`;
@@ -0,0 +1,115 @@
+import { getDayEnd, getDayKey, shiftDay } from './dates';
+import { getEventCategory } from './ledger';
+import { createId, getEventQuantity } from './habits';
+
+// --- Penalty Rules ---
+// Every finished day is checked once against the enabled rules. A rule that fires
+// writes a system-generated penalty to the ledger, with a deterministic id so a day is
+// never charged twice and a `reason` that the daily summary shows.
+//
+// Rule types:
+// - minimum:   fewer than `count` units of `habitId` logged that day
+// - penalties: `count` or more penalties logged by hand that day
+
+export const RULE_TYPES = ['minimum', 'penalties'];
+
+// How far back a long absence is caught up on
+const MAX_CATCH_UP_DAYS = 14;
+
+// Examples ship disabled so nobody is fined by an update.
+export const DEFAULT_RULES = [
+  { id: 'no-exercise', name: 'No exercise', type: 'minimum', habitId: 'exercise', count: 1, penaltyHabitId: 'lazy', amount: 0, enabled: false },
+  { id: 'low-water', name: 'Under 2L water', type: 'minimum', habitId: 'water', count: 2, penaltyHabitId: null, amount: 40, enabled: false },
+  { id: 'penalty-spiral', name: 'Penalty spiral', type: 'penalties', habitId: null, count: 3, penaltyHabitId: null, amount: 100, enabled: false },
+];
+
+export const normalizeRule = (rule) => ({
+  id: rule.id || createId('rule'),
+  name: (rule.name || '').trim() || 'Untitled Rule',
+  type: RULE_TYPES.includes(rule.type) ? rule.type : 'minimum',
+  habitId: rule.type === 'penalties' ? null : rule.habitId || null,
+  count: Math.max(parseInt(rule.count, 10) || 1, 1),
+  penaltyHabitId: rule.penaltyHabitId || null,
+  amount: Math.abs(parseInt(rule.amount, 10) || 0),
+  enabled: Boolean(rule.enabled),
+});
+
+export const getRuleEventId = (ruleId, day) => `rule-${ruleId}-${day}`;
+
+const findHabit = (habits, habitId) => habits.find(h => h.id === habitId);
+
+export const describeRule = (rule, habits, format) => {
+  const habit = findHabit(habits, rule.habitId);
+  const penaltyHabit = findHabit(habits, rule.penaltyHabitId);
+  const condition = rule.type === 'penalties'
+    ? `${rule.count}+ penalties in a day`
+    : rule.count === 1
+      ? `No ${habit?.label || 'log'}`
+      : `Under ${rule.count}${habit?.unit ? ` ${habit.unit}` : ''} ${habit?.label || ''}`.trim();
+  const consequence = penaltyHabit
+    ? `${penaltyHabit.label} (${format.signed(-Math.abs(penaltyHabit.amount))})`
+    : format.signed(-rule.amount);
+  return `${condition} → ${consequence}`;
+};
+
+// Finished days that still need checking, oldest first. The first run only records
+// where checking starts, so turning the feature on never fines past history.
+export const getPendingDays = (checkedThrough, todayKey) => {
+  const yesterday = shiftDay(todayKey, -1);
+  if (!checkedThrough || checkedThrough >= yesterday) return [];
+
+  const days = [];
+  const earliest = shiftDay(todayKey, -MAX_CATCH_UP_DAYS);
+  for (let day = shiftDay(checkedThrough, 1); day <= yesterday; day = shiftDay(day, 1)) {
+    if (day >= earliest) days.push(day);
+  }
+  return days;
+};
+
+const checkRule = (rule, dayEvents, habits) => {
+  if (rule.type === 'penalties') {
+    const penalties = dayEvents.filter(e => !e.system && getEventCategory(e) === 'penalty').length;
+    return penalties >= rule.count ? `${penalties} penalties logged` : null;
+  }
+
+  const habit = findHabit(habits, rule.habitId);
+  const logged = dayEvents
+    .filter(e => e.habitId === rule.habitId)
+    .reduce((sum, e) => sum + getEventQuantity(e), 0);
+  if (logged >= rule.count) return null;
+  const name = habit?.label || rule.habitId;
+  return logged === 0
+    ? `No ${name} logged`
+    : `Logged ${logged} of ${rule.count}${habit?.unit ? ` ${habit.unit}` : ''} ${name}`;
+};
+
+// Returns the penalty event drafts for one finished day. `events` should be the
+// active events; ids in `existingIds` (voided ones included) are never re-created.
+export const evaluateRules = (rules, { day, events, habits, existingIds, dayOptions }) => {
+  const dayEvents = events.filter(e => getDayKey(e.timestamp, dayOptions) === day);
+
+  return rules.flatMap(rule => {
+    if (!rule.enabled) return [];
+    const id = getRuleEventId(rule.id, day);
+    if (existingIds.has(id)) return [];
+
+    const reason = checkRule(rule, dayEvents, habits);
+    if (!reason) return [];
+
+    const penaltyHabit = findHabit(habits, rule.penaltyHabitId);
+    return [{
+      id,
+      habitId: penaltyHabit?.id ?? null,
+      label: penaltyHabit?.label || rule.name,
+      amount: penaltyHabit ? -Math.abs(penaltyHabit.amount) : -rule.amount,
+      icon: penaltyHabit?.icon || 'ShieldAlert',
+      category: 'penalty',
+      timestamp: getDayEnd(day, dayOptions),
+      loggedAt: new Date().toISOString(),
+      type: 'lose',
+      system: true,
+      ruleId: rule.id,
+      reason: `${rule.name}: ${reason}`,
+    }];
+  });
+};
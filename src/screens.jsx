@@ -0,0 +1,192 @@
+import React from 'react';
+import HistoryScreen from './HistoryScreen';
+import StatsScreen from './StatsScreen';
+import ReviewScreen from './ReviewScreen';
+import HabitManager from './HabitManager';
+import RewardManager from './RewardManager';
+import SettingsScreen from './SettingsScreen';
+import GoalManager from './GoalManager';
+import ChallengeManager from './ChallengeManager';
+import RuleManager from './RuleManager';
+import ReminderManager from './ReminderManager';
+import SyncScreen from './SyncScreen';
+import DataScreen from './DataScreen';
+import { PERSISTED_KEYS } from './store';
+import { useSelector, useSetting, useTodayKey } from './storeContext';
+import {
+  createSelector,
+  selectActiveEvents,
+  selectVoidedIds,
+  selectLedger,
+  selectJars,
+  selectLocked,
+  selectSpendable,
+  selectChallengeProgress
+} from './selectors';
+
+// --- Connected Screens ---
+// The screens below take their data as props. These wrappers subscribe to just what
+// each one shows (see storeContext.js), so Game only hands down navigation and commands.
+
+// Everything a backup holds (see backup.js)
+const selectBackupData = createSelector(
+  PERSISTED_KEYS.map(key => state => state[key]),
+  (...values) => Object.fromEntries(PERSISTED_KEYS.map((key, i) => [key, values[i]]))
+);
+
+const HISTORY_TITLES = { all: 'History', earned: 'Money I earned', used: 'Money I used' };
+
+export const HistoryTab = ({ type, header, openEventId, onOpenEvent, onEdit, onVoid }) => {
+  const events = useSelector(state => state.events);
+  const habits = useSelector(state => state.habits);
+  const preferences = useSelector(state => state.preferences);
+  const voidedIds = useSelector(selectVoidedIds);
+  const todayKey = useTodayKey();
+  return (
+    <HistoryScreen
+      title={HISTORY_TITLES[type]}
+      header={header}
+      events={events}
+      voidedIds={voidedIds}
+      habits={habits}
+      preferences={preferences}
+      todayKey={todayKey}
+      initialType={type}
+      openEventId={openEventId}
+      onOpenEvent={onOpenEvent}
+      onEdit={onEdit}
+      onVoid={onVoid}
+    />
+  );
+};
+
+export const StatsTab = ({ onOpenReviews }) => {
+  const habits = useSelector(state => state.habits);
+  const preferences = useSelector(state => state.preferences);
+  const events = useSelector(selectActiveEvents);
+  const ledger = useSelector(selectLedger);
+  const todayKey = useTodayKey();
+  return (
+    <StatsScreen
+      events={events}
+      ledger={ledger}
+      habits={habits}
+      todayKey={todayKey}
+      preferences={preferences}
+      onOpenReviews={onOpenReviews}
+    />
+  );
+};
+
+export const ReviewsTab = ({ period, selectedKey, onSelect, onBack }) => {
+  const tasks = useSelector(state => state.tasks);
+  const preferences = useSelector(state => state.preferences);
+  const restoredDays = useSelector(state => state.inventory.restoredDays);
+  const events = useSelector(selectActiveEvents);
+  const ledger = useSelector(selectLedger);
+  const [notes, setNotes] = useSetting('reviewNotes');
+  const todayKey = useTodayKey();
+  return (
+    <ReviewScreen
+      events={events}
+      ledger={ledger}
+      tasks={tasks}
+      preferences={preferences}
+      restoredDays={restoredDays}
+      todayKey={todayKey}
+      notes={notes}
+      period={period}
+      selectedKey={selectedKey}
+      onSelect={onSelect}
+      onNotesChange={setNotes}
+      onBack={onBack}
+    />
+  );
+};
+
+export const HabitsTab = ({ onBack }) => {
+  const [habits, setHabits] = useSetting('habits');
+  return <HabitManager habits={habits} onChange={setHabits} onBack={onBack} />;
+};
+
+export const RewardsTab = ({ onBack }) => {
+  const [rewards, setRewards] = useSetting('rewards');
+  return <RewardManager rewards={rewards} onChange={setRewards} onBack={onBack} />;
+};
+
+export const SettingsTab = ({ onOpenRules, onBack }) => {
+  const [preferences, setPreferences] = useSetting('preferences');
+  const activeRules = useSelector(state => state.rules.filter(r => r.enabled).length);
+  return (
+    <SettingsScreen
+      preferences={preferences}
+      activeRules={activeRules}
+      onChange={setPreferences}
+      onOpenRules={onOpenRules}
+      onBack={onBack}
+    />
+  );
+};
+
+export const GoalsTab = ({ onTransfer, onDelete, onBack }) => {
+  const [goals, setGoals] = useSetting('goals');
+  const jars = useSelector(selectJars);
+  const locked = useSelector(selectLocked);
+  const spendable = useSelector(selectSpendable);
+  const todayKey = useTodayKey();
+  return (
+    <GoalManager
+      goals={goals}
+      jars={jars}
+      spendable={spendable}
+      locked={locked}
+      todayKey={todayKey}
+      onChange={setGoals}
+      onTransfer={onTransfer}
+      onDelete={onDelete}
+      onBack={onBack}
+    />
+  );
+};
+
+export const ChallengesTab = ({ onGiveUp, onBack }) => {
+  const [challenges, setChallenges] = useSetting('challenges');
+  const habits = useSelector(state => state.habits);
+  const todayKey = useTodayKey();
+  const progress = useSelector(selectChallengeProgress, todayKey);
+  return (
+    <ChallengeManager
+      challenges={challenges}
+      progress={progress}
+      habits={habits}
+      todayKey={todayKey}
+      onChange={setChallenges}
+      onGiveUp={onGiveUp}
+      onBack={onBack}
+    />
+  );
+};
+
+export const RulesTab = ({ onBack }) => {
+  const [rules, setRules] = useSetting('rules');
+  const habits = useSelector(state => state.habits);
+  return <RuleManager rules={rules} habits={habits} onChange={setRules} onBack={onBack} />;
+};
+
+export const RemindersTab = ({ onBack }) => {
+  const [reminders, setReminders] = useSetting('reminders');
+  const habits = useSelector(state => state.habits);
+  return <ReminderManager reminders={reminders} habits={habits} onChange={setReminders} onBack={onBack} />;
+};
+
+export const SyncTab = ({ onSave, onSyncNow, onBack }) => {
+  const sync = useSelector(state => state.sync);
+  const status = useSelector(state => state.syncStatus);
+  return <SyncScreen sync={sync} status={status} onSave={onSave} onSyncNow={onSyncNow} onBack={onBack} />;
+};
+
+export const DataTab = ({ onImport, onBack }) => {
+  const data = useSelector(selectBackupData);
+  const todayKey = useTodayKey();
+  return <DataScreen data={data} todayKey={todayKey} onImport={onImport} onBack={onBack} />;
+};
@@ -0,0 +1,111 @@
+import { buildLedger, getActiveEvents, getVoidedIds, getDaySnapshot } from './ledger';
+import { getJarBalances, getLockedTotal } from './goals';
+import { computeProgression } from './progression';
+import { getChallengeProgress } from './challenges';
+import { checkRewardPurchase } from './rewards';
+import { ACHIEVEMENTS } from './achievements';
+
+// --- Selectors ---
+// Figures derived from the store state (see store.js). Every money figure is folded
+// from the event ledger, never stored. Selectors take the state plus any arguments,
+// and memoized ones hand back the same object until their inputs change, which is
+// what lets useSelector (see storeContext.js) skip re-renders.
+
+// Recomputes `combine` only when one of the `inputs` returns something new. One result
+// is kept, so callers should share arguments (like today's key) rather than vary them.
+export const createSelector = (inputs, combine) => {
+  let lastInputs = null;
+  let lastResult;
+  return (state, ...args) => {
+    const values = inputs.map(input => input(state, ...args));
+    if (lastInputs && values.every((value, i) => value === lastInputs[i])) return lastResult;
+    lastInputs = values;
+    lastResult = combine(...values);
+    return lastResult;
+  };
+};
+
+const getEvents = (state) => state.events;
+const getPreferences = (state) => state.preferences;
+const getTodayArg = (state, todayKey) => todayKey;
+
+// Voided events and reversal entries stay in `events` for the audit trail only
+export const selectActiveEvents = createSelector([getEvents], getActiveEvents);
+export const selectVoidedIds = createSelector([getEvents], getVoidedIds);
+export const selectLedger = createSelector([getEvents, getPreferences], buildLedger);
+
+export const selectBalance = (state) => selectLedger(state).balance;
+
+// Lifetime `{ earned, fined, spent }`
+export const selectTotals = createSelector(
+  [state => selectLedger(state).earned, state => selectLedger(state).fined, state => selectLedger(state).spent],
+  (earned, fined, spent) => ({ earned, fined, spent })
+);
+
+// Net change on one day
+export const selectDailyDelta = (state, day) => getDaySnapshot(selectLedger(state), day).delta;
+
+// Money in savings jars stays in the balance but cannot be spent in the store
+export const selectJars = createSelector([selectActiveEvents], getJarBalances);
+export const selectLocked = createSelector([state => state.goals, selectJars], getLockedTotal);
+export const selectSpendable = (state) => selectBalance(state) - selectLocked(state);
+
+export const selectProgression = createSelector(
+  [
+    selectActiveEvents,
+    state => state.habits,
+    getTodayArg,
+    getPreferences,
+    state => selectLedger(state).earned,
+    state => state.inventory.restoredDays,
+  ],
+  (events, habits, todayKey, preferences, earned, restoredDays) => computeProgression(events, habits, {
+    todayKey,
+    dayOptions: preferences,
+    streakRule: preferences.streakRule,
+    levelCurve: preferences.levelCurve,
+    earned,
+    restoredDays,
+  })
+);
+
+// Progress of every challenge that has not resolved yet, by id (see challenges.js)
+export const selectChallengeProgress = createSelector(
+  [state => state.challenges, selectActiveEvents, getTodayArg, getPreferences],
+  (challenges, events, todayKey, preferences) => new Map(
+    challenges
+      .filter(c => !c.resolvedAt)
+      .map(c => [c.id, getChallengeProgress(c, events, { todayKey, dayOptions: preferences })])
+  )
+);
+
+// What each achievement `source` is measured from (see achievements.js)
+const ACHIEVEMENT_SOURCES = {
+  events: selectActiveEvents,
+  tasks: state => state.tasks,
+  challenges: state => state.challenges,
+  ledger: selectLedger,
+  progression: selectProgression,
+};
+
+// One memoized measure per achievement, so only those whose source changed are re-evaluated
+const achievementMeasures = ACHIEVEMENTS.map(achievement => createSelector(
+  [ACHIEVEMENT_SOURCES[achievement.source], getTodayArg, getPreferences],
+  (source, todayKey, preferences) => achievement.measure(source, { todayKey, dayOptions: preferences })
+));
+
+// Current value of every achievement, by id
+export const selectAchievementValues = createSelector(
+  achievementMeasures,
+  (...values) => new Map(ACHIEVEMENTS.map((achievement, i) => [achievement.id, values[i]]))
+);
+
+// Whether `reward` can be bought right now (see rewards.js). Not memoized, so it suits
+// commands; components subscribe to the inputs instead.
+export const selectRewardCheck = (state, reward, format) => checkRewardPurchase(reward, {
+  events: selectActiveEvents(state),
+  balance: selectSpendable(state),
+  reserve: state.preferences.spendingReserve,
+  dayOptions: state.preferences,
+  format,
+});
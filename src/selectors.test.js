@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { ACTIONS, INITIAL_STATE, reducer } from './store';
+import {
+  createSelector,
+  selectActiveEvents,
+  selectLedger,
+  selectTotals,
+  selectProgression,
+  selectAchievementValues
+} from './selectors';
+
+const event = (id, amount, timestamp = '2026-10-19T10:00:00.000Z') => ({ id, label: id, amount, category: amount < 0 ? 'penalty' : 'earning', timestamp });
+
+const loaded = (events) => reducer(INITIAL_STATE, { type: ACTIONS.LOADED, data: { events, tasks: [] } });
+
+describe('createSelector', () => {
+  it('recomputes only when an input changes', () => {
+    let runs = 0;
+    const selectDouble = createSelector([state => state.value], (value) => {
+      runs += 1;
+      return { double: value * 2 };
+    });
+
+    const first = selectDouble({ value: 2, other: 1 });
+    expect(selectDouble({ value: 2, other: 2 })).toBe(first);
+    expect(runs).toBe(1);
+    expect(selectDouble({ value: 3 })).toEqual({ double: 6 });
+    expect(runs).toBe(2);
+  });
+});
+
+describe('memoized selectors', () => {
+  const state = loaded([event('a', 100), event('b', -30)]);
+
+  it('hand back the same object while the state is unchanged', () => {
+    expect(selectActiveEvents(state)).toBe(selectActiveEvents(state));
+    expect(selectLedger(state)).toBe(selectLedger(state));
+    expect(selectTotals(state)).toBe(selectTotals(state));
+    expect(selectProgression(state, '2026-10-19')).toBe(selectProgression(state, '2026-10-19'));
+    expect(selectAchievementValues(state, '2026-10-19')).toBe(selectAchievementValues(state, '2026-10-19'));
+  });
+
+  it('keep their result across unrelated state changes', () => {
+    const totals = selectTotals(state);
+    const withNote = reducer(state, { type: ACTIONS.SETTING_CHANGED, key: 'reviewNotes', value: { w: {} } });
+    expect(selectTotals(withNote)).toBe(totals);
+    expect(selectLedger(withNote)).toBe(selectLedger(state));
+  });
+
+  it('recompute when the events change', () => {
+    const totals = selectTotals(state);
+    const next = reducer(state, { type: ACTIONS.EVENTS_ADDED, events: [event('c', 50)] });
+    expect(selectTotals(next)).not.toBe(totals);
+    expect(selectTotals(next)).toEqual({ earned: 150, fined: 30, spent: 0 });
+  });
+});
@@ -0,0 +1,198 @@
+import { normalizeTask } from './tasks';
+import { DEFAULT_PROFILE_ID } from './profiles';
+
+// --- IndexedDB Persistence ---
+// Events and tasks live in their own object stores keyed by id so a change only
+// writes the records that actually changed. Everything else (balance, habit
+// catalog, preferences) is a key/value row in the `settings` store.
+// Every profile gets its own database, so ledgers never mix.
+
+const DB_NAME = 'delusional_rpg';
+const LEGACY_KEY = 'delusional_rpg_data';
+const LEGACY_BACKUP_KEY = 'delusional_rpg_data_backup';
+
+export const COLLECTIONS = ['events', 'tasks'];
+const STORES = [...COLLECTIONS, 'settings'];
+
+// --- Schema Migrations ---
+// MIGRATIONS[n] upgrades the database from version n to n + 1 and runs inside the
+// versionchange transaction. Never edit a shipped migration; append a new one.
+
+const MIGRATIONS = [
+  // v1: initial stores + one-time import of the old localStorage blob
+  (db, tx) => {
+    db.createObjectStore('events', { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+    db.createObjectStore('tasks', { keyPath: 'id' });
+    db.createObjectStore('settings', { keyPath: 'key' });
+    if (db.name === DB_NAME) importLegacyData(tx);
+  },
+  // v2: tasks gain due dates, recurrence, overdue penalties and completion metadata
+  (db, tx) => {
+    tx.objectStore('tasks').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      cursor.update(normalizeTask(cursor.value));
+      cursor.continue();
+    };
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+const readLegacyData = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LEGACY_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const importLegacyData = (tx) => {
+  const legacy = readLegacyData();
+  if (!legacy || typeof legacy !== 'object') return;
+
+  const { events = [], tasks = [], ...settings } = legacy;
+  if (Array.isArray(events)) events.filter(isValidEvent).forEach(e => tx.objectStore('events').put(e));
+  if (Array.isArray(tasks)) tasks.filter(isValidTask).forEach(t => tx.objectStore('tasks').put(t));
+  Object.entries(settings).forEach(([key, value]) => tx.objectStore('settings').put({ key, value }));
+};
+
+// The old key is kept under a backup name rather than deleted, in case the import missed something.
+const retireLegacyData = () => {
+  try {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    if (raw === null) return;
+    localStorage.setItem(LEGACY_BACKUP_KEY, raw);
+    localStorage.removeItem(LEGACY_KEY);
+  } catch {
+    // localStorage can throw in private browsing; the import already happened or never will
+  }
+};
+
+// --- Validation ---
+
+const isValidId = (id) => typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+
+export const isValidEvent = (event) =>
+  Boolean(event) &&
+  isValidId(event.id) &&
+  typeof event.label === 'string' &&
+  Number.isFinite(event.amount) &&
+  typeof event.timestamp === 'string' &&
+  !Number.isNaN(Date.parse(event.timestamp));
+
+export const isValidTask = (task) =>
+  Boolean(task) && isValidId(task.id) && typeof task.title === 'string';
+
+const VALIDATORS = { events: isValidEvent, tasks: isValidTask };
+
+// --- IDB Helpers ---
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+const getDatabaseName = (profileId = DEFAULT_PROFILE_ID) =>
+  profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}__${profileId}`;
+
+// One open connection per database name
+const dbPromises = new Map();
+
+const openDatabase = (profileId) => {
+  const name = getDatabaseName(profileId);
+  if (dbPromises.has(name)) return dbPromises.get(name);
+
+  const dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(name, SCHEMA_VERSION);
+    request.onupgradeneeded = (e) => {
+      for (let version = e.oldVersion; version < SCHEMA_VERSION; version++) {
+        MIGRATIONS[version](request.result, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      if (name === DB_NAME) retireLegacyData();
+      resolve(request.result);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+  });
+
+  // Allow a retry on the next call instead of caching the failure forever
+  dbPromise.catch(() => { dbPromises.delete(name); });
+  dbPromises.set(name, dbPromise);
+  return dbPromise;
+};
+
+// --- Public API ---
+
+// Resolves to `{ events, tasks, ...settings, droppedRecords }`. Records that fail
+// validation are skipped (and counted) instead of breaking startup.
+export const loadData = async (profileId) => {
+  const db = await openDatabase(profileId);
+  const tx = db.transaction(STORES, 'readonly');
+  const [events, tasks, settingRows] = await Promise.all(
+    STORES.map(name => promisify(tx.objectStore(name).getAll()))
+  );
+
+  const collections = { events, tasks };
+  let droppedRecords = 0;
+  Object.keys(collections).forEach(name => {
+    const valid = collections[name].filter(VALIDATORS[name]);
+    droppedRecords += collections[name].length - valid.length;
+    collections[name] = valid;
+  });
+
+  collections.events.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  const settings = Object.fromEntries(settingRows.map(row => [row.key, row.value]));
+  return { ...settings, ...collections, droppedRecords };
+};
+
+// Persists the difference between two state snapshots. Collections are diffed by
+// record identity, so only added, changed or removed records are written.
+export const saveChanges = async (prev, next, profileId) => {
+  const db = await openDatabase(profileId);
+  const tx = db.transaction(STORES, 'readwrite');
+
+  Object.entries(next).forEach(([key, value]) => {
+    if (prev && prev[key] === value) return;
+
+    if (COLLECTIONS.includes(key)) {
+      const store = tx.objectStore(key);
+      const previous = new Map((prev?.[key] || []).map(item => [item.id, item]));
+      value.forEach(item => {
+        if (previous.get(item.id) !== item) store.put(item);
+        previous.delete(item.id);
+      });
+      previous.forEach((_, id) => store.delete(id));
+    } else {
+      tx.objectStore('settings').put({ key, value });
+    }
+  });
+
+  return transactionDone(tx);
+};
+
+// Removes a profile's database for good. The connection is closed first so the
+// deletion is not blocked by this tab.
+export const deleteProfileData = async (profileId) => {
+  const name = getDatabaseName(profileId);
+  if (dbPromises.has(name)) {
+    const db = await dbPromises.get(name).catch(() => null);
+    db?.close();
+    dbPromises.delete(name);
+  }
+  return promisify(indexedDB.deleteDatabase(name));
+};
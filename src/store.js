@@ -0,0 +1,342 @@
+import { DEFAULT_HABITS, createId, normalizeHabit, getRemainingQuantity } from './habits';
+import { insertEvent, replaceEvent, getVoidedIds } from './ledger';
+import { getDayKey } from './dates';
+import { DEFAULT_PREFERENCES, mergePreferences } from './preferences';
+import { EMPTY_INVENTORY, normalizeInventory, addToInventory, restoreStreakDay, applyEffects } from './inventory';
+import { DEFAULT_REWARDS } from './rewards';
+import { spawnNextInstance } from './tasks';
+import { DEFAULT_REMINDERS, normalizeReminder } from './reminders';
+import { DEFAULT_RULES, normalizeRule } from './rules';
+import { normalizeGoal, allocateEarning, getJarBalances } from './goals';
+import { normalizeChallenge } from './challenges';
+import { normalizeAchievements, recordUnlocks } from './achievements';
+import { DEFAULT_SYNC, enqueueChanges, applyCollectionChanges } from './sync';
+import { selectActiveEvents, selectJars } from './selectors';
+
+// --- Store ---
+// All of a profile's data lives in one state object that only changes through
+// `reducer(state, action)`. The reducer is pure: anything random or time-based (ids,
+// timestamps) arrives in the action, so the same actions always give the same state.
+// Game creates one store per profile and provides it through StoreContext
+// (see storeContext.js); derived figures come from selectors.js.
+
+// A minimal external store for useSyncExternalStore. Listeners only hear about
+// actions that changed something.
+export const createStore = (reducer, initialState) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    dispatch: (action) => {
+      const next = reducer(state, action);
+      if (next === state) return;
+      state = next;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// How each settings row is read back, whether from storage or from a sync pull
+export const SETTING_LOADERS = {
+  habits: (value) => (value || DEFAULT_HABITS).map(normalizeHabit),
+  preferences: (value) => mergePreferences(value),
+  inventory: (value) => normalizeInventory(value),
+  rewards: (value) => value || DEFAULT_REWARDS,
+  reminders: (value) => (value || DEFAULT_REMINDERS).map(normalizeReminder),
+  rules: (value) => (value || DEFAULT_RULES).map(normalizeRule),
+  rulesCheckedThrough: (value) => value || null,
+  goals: (value) => (value || []).map(normalizeGoal),
+  reviewNotes: (value) => value || {},
+  challenges: (value) => (value || []).map(normalizeChallenge),
+  achievements: (value) => normalizeAchievements(value),
+};
+
+// State keys that are saved to storage (see storage.js)
+export const PERSISTED_KEYS = ['events', 'tasks', ...Object.keys(SETTING_LOADERS), 'sync'];
+
+export const INITIAL_STATE = {
+  // False until the profile's saved data has been read
+  isLoaded: false,
+  // Set when reading failed. Nothing is saved or synced until a retry succeeds, so
+  // the defaults shown meanwhile never overwrite the stored profile.
+  loadFailed: false,
+  events: [],
+  tasks: [],
+  habits: DEFAULT_HABITS,
+  preferences: DEFAULT_PREFERENCES,
+  inventory: EMPTY_INVENTORY,
+  rewards: DEFAULT_REWARDS,
+  reminders: DEFAULT_REMINDERS,
+  rules: DEFAULT_RULES,
+  // Last finished day the penalty rules were applied to
+  rulesCheckedThrough: null,
+  goals: [],
+  // Reflection, mood and seen marker per period review, keyed by review id
+  reviewNotes: {},
+  challenges: [],
+  // Unlocked achievement tiers by id (see achievements.js); null until first checked
+  achievements: null,
+  // Sync config, cursor and outbox (persisted), and the state of the last attempt (not)
+  sync: DEFAULT_SYNC,
+  syncStatus: { state: 'idle', message: null },
+};
+
+// --- Actions ---
+// Payloads are listed next to each type.
+
+export const ACTIONS = {
+  LOADED: 'loaded',                                // { data }, null when loading failed
+  LOAD_RETRIED: 'load-retried',                    // {}
+  SETTING_CHANGED: 'setting-changed',              // { key, value }, from the manager screens
+  EVENTS_ADDED: 'events-added',                    // { events }
+  EVENT_VOIDED: 'event-voided',                    // { reversal }
+  EVENT_AMENDED: 'event-amended',                  // { event }
+  UPGRADE_BOUGHT: 'upgrade-bought',                // { item, boughtAt }
+  STREAK_DAY_RESTORED: 'streak-day-restored',      // { day }
+  GOAL_DELETED: 'goal-deleted',                    // { goalId, transfer }
+  GOALS_COMPLETED: 'goals-completed',              // { goalIds, completedAt }
+  CHALLENGES_SETTLED: 'challenges-settled',        // { outcomes, payouts, resolvedAt }
+  REVIEW_SEEN: 'review-seen',                      // { id, seenAt }
+  ACHIEVEMENTS_UNLOCKED: 'achievements-unlocked',  // { unlocks, unlockedAt }
+  TASK_SAVED: 'task-saved',                        // { task }
+  TASK_DELETED: 'task-deleted',                    // { task }
+  TASK_COMPLETED: 'task-completed',                // { taskId, eventId, completedAt, todayKey }
+  TASK_REVERTED: 'task-reverted',                  // { taskId }
+  TASKS_ROLLED_OVER: 'tasks-rolled-over',          // { tasks }
+  RULES_APPLIED: 'rules-applied',                  // { checkedThrough, events }
+  REMINDERS_FIRED: 'reminders-fired',              // { reminderIds, firedAt }
+  IMPORTED: 'imported',                            // { data }
+  SYNC_QUEUED: 'sync-queued',                      // { changes }
+  SYNC_STATUS_CHANGED: 'sync-status-changed',      // { status }
+  SYNC_SUCCEEDED: 'sync-succeeded',                // { sent, cursor, syncedAt }
+  CHANGES_PULLED: 'changes-pulled',                // { events, tasks, settings }
+};
+
+// --- Reducer ---
+
+const byNewest = (a, b) => b.timestamp.localeCompare(a.timestamp);
+
+const addEvents = (events, added) => added.reduce(insertEvent, events);
+
+const loadSettings = (data) =>
+  Object.fromEntries(Object.entries(SETTING_LOADERS).map(([key, load]) => [key, load(data[key])]));
+
+const updateTask = (tasks, taskId, update) => tasks.map(t => t.id === taskId ? update(t) : t);
+
+export const reducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.LOADED: {
+      const { data } = action;
+      if (!data) return { ...state, loadFailed: true };
+      return {
+        ...state,
+        ...loadSettings(data),
+        events: data.events,
+        tasks: data.tasks,
+        sync: { ...DEFAULT_SYNC, ...data.sync },
+        isLoaded: true,
+        loadFailed: false,
+      };
+    }
+
+    case ACTIONS.LOAD_RETRIED:
+      return { ...state, loadFailed: false };
+
+    case ACTIONS.SETTING_CHANGED:
+      return state[action.key] === action.value ? state : { ...state, [action.key]: action.value };
+
+    case ACTIONS.EVENTS_ADDED:
+      return action.events.length === 0 ? state : { ...state, events: addEvents(state.events, action.events) };
+
+    // Voiding twice (a double tap on Undo) changes nothing
+    case ACTIONS.EVENT_VOIDED:
+      if (getVoidedIds(state.events).has(action.reversal.reverses)) return state;
+      return { ...state, events: insertEvent(state.events, action.reversal) };
+
+    case ACTIONS.EVENT_AMENDED:
+      return { ...state, events: replaceEvent(state.events, action.event) };
+
+    case ACTIONS.UPGRADE_BOUGHT:
+      return { ...state, inventory: addToInventory(state.inventory, action.item, new Date(action.boughtAt)) };
+
+    case ACTIONS.STREAK_DAY_RESTORED:
+      return { ...state, inventory: restoreStreakDay(state.inventory, action.day) };
+
+    // Whatever was saved goes back to spendable money
+    case ACTIONS.GOAL_DELETED:
+      return {
+        ...state,
+        events: action.transfer ? insertEvent(state.events, action.transfer) : state.events,
+        goals: state.goals.filter(g => g.id !== action.goalId),
+      };
+
+    case ACTIONS.GOALS_COMPLETED:
+      return {
+        ...state,
+        goals: state.goals.map(g => action.goalIds.includes(g.id) ? { ...g, completedAt: action.completedAt } : g),
+      };
+
+    // `outcomes` maps challenge ids to 'won' or 'lost'
+    case ACTIONS.CHALLENGES_SETTLED:
+      return {
+        ...state,
+        events: addEvents(state.events, action.payouts),
+        challenges: state.challenges.map(c => c.id in action.outcomes
+          ? { ...c, outcome: action.outcomes[c.id], resolvedAt: action.resolvedAt }
+          : c),
+      };
+
+    case ACTIONS.REVIEW_SEEN:
+      return {
+        ...state,
+        reviewNotes: { ...state.reviewNotes, [action.id]: { ...state.reviewNotes[action.id], seenAt: action.seenAt } },
+      };
+
+    // `unlocks` lists `{ id, tier }` with the highest tier reached per achievement
+    case ACTIONS.ACHIEVEMENTS_UNLOCKED:
+      return { ...state, achievements: recordUnlocks(state.achievements, action.unlocks, action.unlockedAt) };
+
+    case ACTIONS.TASK_SAVED: {
+      const exists = state.tasks.some(t => t.id === action.task.id);
+      return {
+        ...state,
+        tasks: exists ? updateTask(state.tasks, action.task.id, () => action.task) : [action.task, ...state.tasks],
+      };
+    }
+
+    // Deleting a recurring mission also drops its open instances, which ends the series
+    case ACTIONS.TASK_DELETED: {
+      const { task } = action;
+      return {
+        ...state,
+        tasks: state.tasks.filter(t =>
+          t.id !== task.id && !(task.seriesId && t.seriesId === task.seriesId && !t.completed)
+        ),
+      };
+    }
+
+    // A completed recurring mission makes way for its next instance, unless one is already open
+    case ACTIONS.TASK_COMPLETED: {
+      const task = state.tasks.find(t => t.id === action.taskId);
+      if (!task || task.completed) return state;
+      const completed = { ...task, completed: true, completedAt: action.completedAt, eventId: action.eventId };
+      const tasks = updateTask(state.tasks, task.id, () => completed);
+      const hasSuccessor = state.tasks.some(t =>
+        t.seriesId === task.seriesId && t.id !== task.id && !t.completed && !t.missed
+      );
+      return {
+        ...state,
+        tasks: task.recurrence && !hasSuccessor ? [spawnNextInstance(completed, action.todayKey), ...tasks] : tasks,
+      };
+    }
+
+    // Drops the untouched instance the completion generated, so the series stays single
+    case ACTIONS.TASK_REVERTED:
+      return {
+        ...state,
+        tasks: updateTask(
+          state.tasks.filter(t => !(t.spawnedFrom === action.taskId && !t.completed && !t.missed)),
+          action.taskId,
+          t => ({ ...t, completed: false, completedAt: null, eventId: null })
+        ),
+      };
+
+    case ACTIONS.TASKS_ROLLED_OVER:
+      return { ...state, tasks: action.tasks };
+
+    case ACTIONS.RULES_APPLIED:
+      return { ...state, rulesCheckedThrough: action.checkedThrough, events: addEvents(state.events, action.events) };
+
+    case ACTIONS.REMINDERS_FIRED:
+      return {
+        ...state,
+        reminders: state.reminders.map(r => action.reminderIds.includes(r.id) ? { ...r, lastFiredAt: action.firedAt } : r),
+      };
+
+    case ACTIONS.IMPORTED: {
+      const { data } = action;
+      return { ...state, ...loadSettings(data), events: data.events, tasks: data.tasks };
+    }
+
+    case ACTIONS.SYNC_QUEUED:
+      return { ...state, sync: { ...state.sync, queue: enqueueChanges(state.sync.queue, action.changes) } };
+
+    case ACTIONS.SYNC_STATUS_CHANGED:
+      return { ...state, syncStatus: action.status };
+
+    // Changes queued while the request was in flight stay for the next round
+    case ACTIONS.SYNC_SUCCEEDED:
+      return {
+        ...state,
+        sync: {
+          ...state.sync,
+          queue: state.sync.queue.filter(change => !action.sent.includes(change)),
+          cursor: action.cursor,
+          lastSyncedAt: action.syncedAt,
+        },
+        syncStatus: { state: 'idle', message: null },
+      };
+
+    // Collection changes are `{ id, value, deleted }` records; settings arrive already loaded
+    case ACTIONS.CHANGES_PULLED:
+      return {
+        ...state,
+        events: action.events.length > 0 ? applyCollectionChanges(state.events, action.events).sort(byNewest) : state.events,
+        tasks: applyCollectionChanges(state.tasks, action.tasks),
+        ...action.settings,
+      };
+
+    default:
+      return state;
+  }
+};
+
+// --- Ledger Entries ---
+
+// The event for logging `quantity` of a habit, or of a one-off like a purchase or a
+// mission reward, as `{ event, logged }`. Capped habits only log what is left of the
+// day's allowance (`logged` may come out below `quantity`); null once the cap is used up.
+export const createHabitLog = (state, habit, { timestamp, quantity = 1 }) => {
+  const { preferences } = state;
+  const activeEvents = selectActiveEvents(state);
+  const remaining = getRemainingQuantity(habit, activeEvents, getDayKey(timestamp, preferences), preferences);
+  if (remaining <= 0) return null;
+  const logged = Math.min(quantity, remaining);
+
+  // Label, amount and icon are snapshotted so edits to the catalog never rewrite history
+  const draft = {
+    id: createId('evt'),
+    habitId: habit.id,
+    label: habit.label,
+    amount: habit.amount * logged,
+    quantity: logged,
+    unit: habit.unit || '',
+    icon: habit.icon,
+    category: habit.category,
+    timestamp,
+    // When it was entered, which differs from `timestamp` for backfills; the undo window uses it
+    loggedAt: new Date().toISOString(),
+    type: habit.amount > 0 ? 'earn' : 'lose'
+  };
+  // Upgrades (Blade, Shield...) may adjust the amount and annotate the event
+  const effected = applyEffects(draft, { inventory: state.inventory, events: activeEvents, dayOptions: preferences });
+  return { event: withAllocations(state, effected), logged };
+};
+
+// Savings goals take their share of earnings (see goals.js). An edited event is
+// allocated again for its new amount, against jars without its old share; only
+// shares of goals completed since (and already paid out) are kept as they were.
+export const withAllocations = (state, event) => {
+  const { allocations: previous = [], ...rest } = event;
+  const jars = previous.length > 0
+    ? getJarBalances(selectActiveEvents(state).filter(e => e.id !== event.id))
+    : selectJars(state);
+  const paidOut = previous.filter(a => state.goals.some(g => g.id === a.goalId && g.completedAt));
+  const allocations = [...paidOut, ...allocateEarning(state.goals, jars, event.amount)];
+  return allocations.length > 0 ? { ...rest, allocations } : rest;
+};
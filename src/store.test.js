@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest';
+import { ACTIONS, INITIAL_STATE, createHabitLog, createStore, reducer } from './store';
+import { createReversal } from './ledger';
+import { normalizeTask } from './tasks';
+import { UPGRADES } from './inventory';
+import { selectBalance } from './selectors';
+
+const loaded = (data = {}) => reducer(INITIAL_STATE, { type: ACTIONS.LOADED, data: { events: [], tasks: [], ...data } });
+
+const getHabit = (state, id) => state.habits.find(h => h.id === id);
+
+const logHabit = (state, id, quantity = 1) =>
+  createHabitLog(state, getHabit(state, id), { timestamp: '2026-10-19T10:00:00.000Z', quantity }).event;
+
+describe('reducer', () => {
+  it('loads saved data and marks the profile loaded', () => {
+    const state = loaded({ rulesCheckedThrough: '2026-10-18' });
+    expect(state.isLoaded).toBe(true);
+    expect(state.loadFailed).toBe(false);
+    expect(state.rulesCheckedThrough).toBe('2026-10-18');
+  });
+
+  it('keeps the profile unloaded when loading failed', () => {
+    const failed = reducer(INITIAL_STATE, { type: ACTIONS.LOADED, data: null });
+    expect(failed.isLoaded).toBe(false);
+    expect(failed.loadFailed).toBe(true);
+    expect(reducer(failed, { type: ACTIONS.LOAD_RETRIED }).loadFailed).toBe(false);
+  });
+
+  it('returns the same state for unknown actions', () => {
+    const state = loaded();
+    expect(reducer(state, { type: 'unknown' })).toBe(state);
+  });
+
+  describe('logging', () => {
+    it('adds logged events to the ledger', () => {
+      const state = loaded();
+      const event = logHabit(state, 'water', 2);
+      const next = reducer(state, { type: ACTIONS.EVENTS_ADDED, events: [event] });
+      expect(next.events).toEqual([event]);
+      expect(selectBalance(next)).toBe(event.amount);
+    });
+
+    it('ignores an empty batch', () => {
+      const state = loaded();
+      expect(reducer(state, { type: ACTIONS.EVENTS_ADDED, events: [] })).toBe(state);
+    });
+  });
+
+  describe('undo', () => {
+    it('voids an event through a reversal', () => {
+      const event = logHabit(loaded(), 'water');
+      const state = reducer(loaded(), { type: ACTIONS.EVENTS_ADDED, events: [event] });
+      const voided = reducer(state, { type: ACTIONS.EVENT_VOIDED, reversal: createReversal(event) });
+      expect(voided.events).toHaveLength(2);
+      expect(selectBalance(voided)).toBe(0);
+    });
+
+    it('does nothing when the same event is voided twice', () => {
+      const event = logHabit(loaded(), 'water');
+      const state = reducer(loaded(), { type: ACTIONS.EVENTS_ADDED, events: [event] });
+      const voided = reducer(state, { type: ACTIONS.EVENT_VOIDED, reversal: createReversal(event) });
+      expect(reducer(voided, { type: ACTIONS.EVENT_VOIDED, reversal: createReversal(event) })).toBe(voided);
+    });
+  });
+
+  describe('tasks', () => {
+    const daily = normalizeTask({ id: 't1', title: 'Stretch', reward: 20, recurrence: { type: 'daily' }, seriesId: 's1', dueDate: '2026-10-19' });
+    const complete = (state) => reducer(state, {
+      type: ACTIONS.TASK_COMPLETED,
+      taskId: 't1',
+      eventId: 'evt-1',
+      completedAt: '2026-10-19T10:00:00.000Z',
+      todayKey: '2026-10-19',
+    });
+
+    it('spawns the next instance when a recurring task is completed', () => {
+      const next = complete(reducer(loaded(), { type: ACTIONS.TASK_SAVED, task: daily }));
+      expect(next.tasks).toHaveLength(2);
+      const [successor, done] = next.tasks;
+      expect(done).toMatchObject({ id: 't1', completed: true, eventId: 'evt-1' });
+      expect(successor).toMatchObject({ seriesId: 's1', spawnedFrom: 't1', completed: false, dueDate: '2026-10-20' });
+    });
+
+    it('does not complete a task twice', () => {
+      const once = complete(reducer(loaded(), { type: ACTIONS.TASK_SAVED, task: daily }));
+      expect(complete(once)).toBe(once);
+    });
+
+    it('drops the spawned instance when the completion is reverted', () => {
+      const completed = complete(reducer(loaded(), { type: ACTIONS.TASK_SAVED, task: daily }));
+      const reverted = reducer(completed, { type: ACTIONS.TASK_REVERTED, taskId: 't1' });
+      expect(reverted.tasks).toEqual([{ ...daily, completed: false, completedAt: null, eventId: null }]);
+    });
+  });
+
+  describe('purchases', () => {
+    const [potion, blade] = UPGRADES;
+
+    it('stacks consumable upgrades', () => {
+      const once = reducer(loaded(), { type: ACTIONS.UPGRADE_BOUGHT, item: potion, boughtAt: '2026-10-19T10:00:00.000Z' });
+      const twice = reducer(once, { type: ACTIONS.UPGRADE_BOUGHT, item: potion, boughtAt: '2026-10-19T11:00:00.000Z' });
+      expect(twice.inventory.items.potion).toEqual({ quantity: 2 });
+    });
+
+    it('extends a timed upgrade that is still active', () => {
+      const once = reducer(loaded(), { type: ACTIONS.UPGRADE_BOUGHT, item: blade, boughtAt: '2026-10-19T10:00:00.000Z' });
+      const twice = reducer(once, { type: ACTIONS.UPGRADE_BOUGHT, item: blade, boughtAt: '2026-10-20T10:00:00.000Z' });
+      expect(twice.inventory.items.blade).toEqual({
+        activeFrom: '2026-10-19T10:00:00.000Z',
+        expiresAt: '2026-11-02T10:00:00.000Z',
+      });
+    });
+  });
+});
+
+describe('createStore', () => {
+  it('notifies subscribers only when the state changes', () => {
+    const store = createStore(reducer, loaded());
+    let notified = 0;
+    const unsubscribe = store.subscribe(() => { notified += 1; });
+
+    store.dispatch({ type: 'unknown' });
+    expect(notified).toBe(0);
+    store.dispatch({ type: ACTIONS.EVENTS_ADDED, events: [logHabit(store.getState(), 'water')] });
+    expect(notified).toBe(1);
+
+    unsubscribe();
+    store.dispatch({ type: ACTIONS.EVENTS_ADDED, events: [logHabit(store.getState(), 'water')] });
+    expect(notified).toBe(1);
+  });
+});
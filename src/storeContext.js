@@ -0,0 +1,30 @@
+import { createContext, useContext, useSyncExternalStore } from 'react';
+import { getTodayKey } from './dates';
+import { ACTIONS } from './store';
+
+// --- Store Context ---
+// Game provides its store (see store.js) here. Components subscribe to just the
+// slices and selectors they render, so logging a habit re-renders what shows the
+// ledger and leaves the rest alone.
+
+export const StoreContext = createContext(null);
+
+export const useStore = () => useContext(StoreContext);
+
+export const useDispatch = () => useStore().dispatch;
+
+// `selector(state, ...args)` must give back the same value while its inputs are
+// unchanged: a slice of the state, a primitive or a selector from selectors.js.
+export const useSelector = (selector, ...args) => {
+  const store = useStore();
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState(), ...args));
+};
+
+export const useTodayKey = () => getTodayKey(useSelector(state => state.preferences));
+
+// `[value, setValue]` for a settings row edited wholesale by a manager screen
+export const useSetting = (key) => {
+  const dispatch = useDispatch();
+  const value = useSelector(state => state[key]);
+  return [value, (next) => dispatch({ type: ACTIONS.SETTING_CHANGED, key, value: next })];
+};
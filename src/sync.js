@@ -0,0 +1,160 @@
+// --- Sync ---
+// Optional sync with a self-hosted REST endpoint (see server/syncServer.js).
+// Every local change becomes a change record `{ collection, id, value, deleted, at, device }`
+// in a persisted queue, so changes made offline are replayed once the server is
+// reachable. Conflicts are resolved the same way on the server and here: for each
+// record (an event or task by id, or one settings row), the change with the later
+// `at` wins, and the device id breaks ties. Ledger events get unique ids when they
+// are logged, so two devices logging at once simply add up.
+//
+// This module is shared with the Node server, so it must stay free of browser APIs
+// at import time.
+
+export const SYNCED_COLLECTIONS = ['events', 'tasks'];
+
+// Settings rows that follow the user between devices. The balance is derived from
+// the ledger and `progress` only tracks which toasts were already shown here.
+export const SYNCED_SETTINGS = [
+  'habits',
+  'preferences',
+  'inventory',
+  'rewards',
+  'reminders',
+  'rules',
+  'rulesCheckedThrough',
+  'goals',
+  'reviewNotes',
+  'challenges',
+  'achievements',
+];
+
+// Stamp for the first upload from a device. Seeded records only fill gaps, so joining
+// an existing space adopts its settings instead of overwriting them.
+const SEED_TIME = new Date(0).toISOString();
+
+// Space names double as file names on the reference server
+export const SYNC_SPACE_PATTERN = /^[\w.-]{1,64}$/;
+
+export const DEFAULT_SYNC = {
+  enabled: false,
+  endpoint: '',
+  // Devices sharing a space name sync with each other
+  space: '',
+  token: '',
+  deviceId: null,
+  // Server sequence number of the last change pulled
+  cursor: 0,
+  lastSyncedAt: null,
+  queue: [],
+};
+
+export const getChangeKey = (change) => `${change.collection}:${change.id}`;
+
+// True when `change` should replace `current`, the stored change for the same record.
+export const isNewerChange = (change, current) => {
+  if (!current) return true;
+  if (change.at === SEED_TIME) return false;
+  if (change.at !== current.at) return change.at > current.at;
+  return String(change.device) > String(current.device);
+};
+
+// Change records for everything that differs between two persisted snapshots.
+// Collections are compared by record identity like saveChanges; settings rows by
+// content, since several of them are re-normalized on every load.
+export const getSyncChanges = (prev, next, { at, device }) => {
+  if (!prev) return [];
+  const changes = [];
+  SYNCED_COLLECTIONS.forEach(collection => {
+    if (prev[collection] === next[collection]) return;
+    const previous = new Map((prev[collection] || []).map(item => [item.id, item]));
+    next[collection].forEach(item => {
+      if (previous.get(item.id) !== item) changes.push({ collection, id: item.id, value: item, deleted: false, at, device });
+      previous.delete(item.id);
+    });
+    previous.forEach((_, id) => changes.push({ collection, id, value: null, deleted: true, at, device }));
+  });
+  SYNCED_SETTINGS.forEach(key => {
+    if (prev[key] === next[key] || JSON.stringify(prev[key]) === JSON.stringify(next[key])) return;
+    changes.push({ collection: 'settings', id: key, value: next[key] ?? null, deleted: false, at, device });
+  });
+  return changes;
+};
+
+// Everything this device holds, for the first sync with a space.
+export const getSeedChanges = (snapshot, device) => [
+  ...SYNCED_COLLECTIONS.flatMap(collection => snapshot[collection].map(item => ({
+    collection, id: item.id, value: item, deleted: false, at: SEED_TIME, device,
+  }))),
+  ...SYNCED_SETTINGS.filter(key => snapshot[key] !== undefined).map(key => ({
+    collection: 'settings', id: key, value: snapshot[key], deleted: false, at: SEED_TIME, device,
+  })),
+];
+
+// Adds changes to the queue, keeping only the latest change per record.
+export const enqueueChanges = (queue, changes) => {
+  if (changes.length === 0) return queue;
+  const replaced = new Set(changes.map(getChangeKey));
+  return [...queue.filter(change => !replaced.has(getChangeKey(change))), ...changes];
+};
+
+// Upserts and deletes pulled changes into a collection array.
+export const applyCollectionChanges = (items, changes) => {
+  if (changes.length === 0) return items;
+  const byId = new Map(items.map(item => [item.id, item]));
+  changes.forEach(change => {
+    if (change.deleted) byId.delete(change.id);
+    else byId.set(change.id, change.value);
+  });
+  return [...byId.values()];
+};
+
+export const isSyncReady = (sync) => Boolean(sync.enabled && sync.endpoint && sync.space);
+
+// Keyed by the app's sync status, `{ state: 'idle' | 'syncing' | 'offline' | 'error', message }`
+export const SYNC_STATUS_LABELS = {
+  idle: 'Up to date',
+  syncing: 'Syncing...',
+  offline: 'Offline, changes are queued',
+  error: 'Sync failed',
+};
+
+// One-line summary for the Profile screen; `format` is a display formatter (see format.js).
+export const describeSyncStatus = (sync, status, format) => {
+  if (!isSyncReady(sync)) return 'Off · this device only';
+  const pending = sync.queue.length > 0 ? ` · ${sync.queue.length} pending` : '';
+  if (status.state !== 'idle') return `${SYNC_STATUS_LABELS[status.state]}${pending}`;
+  return sync.lastSyncedAt ? `Synced ${format.dateTime(sync.lastSyncedAt)}${pending}` : `Not synced yet${pending}`;
+};
+
+// --- Transport ---
+
+const getSyncUrl = (sync) =>
+  `${sync.endpoint.replace(/\/+$/, '')}/spaces/${encodeURIComponent(sync.space)}/sync`;
+
+// Pushes `changes` and pulls everything newer than the cursor in one round trip.
+// Resolves to `{ cursor, changes }` with the server's winning version of each record;
+// errors from an unreachable server carry `offline: true`.
+export const exchangeChanges = async (sync, changes) => {
+  let response;
+  try {
+    response = await fetch(getSyncUrl(sync), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(sync.token ? { Authorization: `Bearer ${sync.token}` } : {}),
+      },
+      body: JSON.stringify({ device: sync.deviceId, since: sync.cursor, changes }),
+    });
+  } catch {
+    throw Object.assign(new Error('Server unreachable'), { offline: true });
+  }
+
+  if (response.status === 401) throw new Error('The server rejected the access token');
+  if (!response.ok) throw new Error(`Server error (${response.status})`);
+
+  const result = await response.json().catch(() => null);
+  if (!result || !Number.isFinite(result.cursor) || !Array.isArray(result.changes)) {
+    throw new Error('Unexpected response from the server');
+  }
+  return result;
+};
@@ -0,0 +1,106 @@
+import { createId } from './habits';
+import { isValidEvent, isValidTask } from './storage';
+import { ACTIONS, SETTING_LOADERS } from './store';
+import {
+  SYNCED_SETTINGS,
+  getChangeKey,
+  getSyncChanges,
+  getSeedChanges,
+  isSyncReady,
+  exchangeChanges
+} from './sync';
+
+// --- Sync Client ---
+// Runs the sync protocol (see sync.js) against a store: local edits are queued in the
+// persisted outbox, pushed and pulled in one request, and pulled records are fed back
+// through the reducer. Kept apart from sync.js, which the Node server shares.
+
+export const createSyncClient = (store) => {
+  // A request in flight, records changed locally meanwhile, and pulled values (as JSON
+  // by change key) that must not be queued back as local edits
+  let syncing = false;
+  let changedWhileSyncing = new Set();
+  const pulled = new Map();
+
+  const setStatus = (state, message = null) =>
+    store.dispatch({ type: ACTIONS.SYNC_STATUS_CHANGED, status: { state, message } });
+
+  // Local edits between two persisted snapshots join the outbox; values that just
+  // arrived from the server are skipped so they are not echoed back.
+  const queueChanges = (prev, next) => {
+    const { sync } = store.getState();
+    if (!isSyncReady(sync)) return;
+    const changes = getSyncChanges(prev, next, { at: new Date().toISOString(), device: sync.deviceId }).filter(change => {
+      const key = getChangeKey(change);
+      if (!pulled.has(key)) return true;
+      const isEcho = pulled.get(key) === JSON.stringify(change.deleted ? null : change.value);
+      pulled.delete(key);
+      return !isEcho;
+    });
+    if (changes.length === 0) return;
+    if (syncing) changes.forEach(change => changedWhileSyncing.add(getChangeKey(change)));
+    store.dispatch({ type: ACTIONS.SYNC_QUEUED, changes });
+  };
+
+  const applyPulledChanges = (changes) => {
+    const remember = (change, value) => pulled.set(getChangeKey(change), JSON.stringify(change.deleted ? null : value));
+    const events = changes.filter(c => c.collection === 'events' && (c.deleted || isValidEvent(c.value)));
+    const tasks = changes.filter(c => c.collection === 'tasks' && (c.deleted || isValidTask(c.value)));
+    [...events, ...tasks].forEach(change => remember(change, change.value));
+
+    const settings = Object.fromEntries(changes
+      .filter(change => change.collection === 'settings' && SYNCED_SETTINGS.includes(change.id))
+      .map(change => {
+        const value = SETTING_LOADERS[change.id](change.value);
+        remember(change, value);
+        return [change.id, value];
+      }));
+    store.dispatch({ type: ACTIONS.CHANGES_PULLED, events, tasks, settings });
+  };
+
+  const syncNow = async () => {
+    const { sync } = store.getState();
+    if (!isSyncReady(sync) || syncing) return;
+    if (navigator.onLine === false) {
+      setStatus('offline');
+      return;
+    }
+    syncing = true;
+    changedWhileSyncing = new Set();
+    setStatus('syncing');
+    const sent = sync.queue;
+    try {
+      const result = await exchangeChanges(sync, sent);
+      // Anything edited here during the request is newer than what the server sent
+      applyPulledChanges(result.changes.filter(change => !changedWhileSyncing.has(getChangeKey(change))));
+      store.dispatch({ type: ACTIONS.SYNC_SUCCEEDED, sent, cursor: result.cursor, syncedAt: new Date().toISOString() });
+    } catch (err) {
+      console.warn('Sync failed', err);
+      setStatus(err.offline ? 'offline' : 'error', err.message);
+    } finally {
+      syncing = false;
+    }
+  };
+
+  // Joining a space (or switching to another) uploads everything held here first
+  const configure = (config) => {
+    const state = store.getState();
+    const { sync } = state;
+    const setSync = (value) => store.dispatch({ type: ACTIONS.SETTING_CHANGED, key: 'sync', value });
+    if (!config.enabled) {
+      setSync({ ...sync, ...config, queue: [] });
+      setStatus('idle');
+      return;
+    }
+    const deviceId = sync.deviceId || createId('device');
+    const joining = !isSyncReady(sync) || config.endpoint !== sync.endpoint || config.space !== sync.space;
+    setSync({
+      ...sync,
+      ...config,
+      deviceId,
+      ...(joining ? { cursor: 0, lastSyncedAt: null, queue: getSeedChanges(state, deviceId) } : {}),
+    });
+  };
+
+  return { queueChanges, syncNow, configure };
+};
@@ -0,0 +1,109 @@
+import { shiftDay } from './dates';
+import { createId } from './habits';
+
+// --- Missions ---
+// A recurring mission is a series of task instances sharing a `seriesId`. Only the
+// latest instance carries the schedule forward: when it is completed or its day
+// passes, the next one is generated from its `recurrence`.
+
+export const RECURRENCE_TYPES = ['daily', 'weekdays', 'interval'];
+
+export const normalizeTask = (task) => ({
+  id: task.id ?? createId('task'),
+  title: (task.title || '').trim() || 'Untitled Mission',
+  reward: Math.max(parseInt(task.reward, 10) || 0, 0),
+  dueDate: task.dueDate || null,
+  recurrence: RECURRENCE_TYPES.includes(task.recurrence?.type)
+    ? { type: task.recurrence.type, every: Math.max(parseInt(task.recurrence.every, 10) || 1, 1) }
+    : null,
+  seriesId: task.seriesId || null,
+  spawnedFrom: task.spawnedFrom ?? null,
+  overduePenalty: Math.max(parseInt(task.overduePenalty, 10) || 0, 0),
+  createdAt: task.createdAt || new Date().toISOString(),
+  completed: Boolean(task.completed),
+  completedAt: task.completedAt || null,
+  eventId: task.eventId ?? null,
+  penaltyEventId: task.penaltyEventId ?? null,
+  missed: Boolean(task.missed),
+});
+
+const isWeekday = (dayKey) => {
+  const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+};
+
+export const getNextDueDate = (recurrence, fromDay) => {
+  if (recurrence.type === 'interval') return shiftDay(fromDay, recurrence.every);
+
+  let next = shiftDay(fromDay, 1);
+  if (recurrence.type === 'weekdays') {
+    while (!isWeekday(next)) next = shiftDay(next, 1);
+  }
+  return next;
+};
+
+// First scheduled day on or after `todayKey`.
+const getUpcomingDueDate = (recurrence, fromDay, todayKey) => {
+  let next = getNextDueDate(recurrence, fromDay);
+  while (next < todayKey) next = getNextDueDate(recurrence, next);
+  return next;
+};
+
+export const spawnNextInstance = (task, todayKey) => normalizeTask({
+  ...task,
+  id: createId('task'),
+  spawnedFrom: task.id,
+  dueDate: getUpcomingDueDate(task.recurrence, task.dueDate || todayKey, todayKey),
+  createdAt: new Date().toISOString(),
+  completed: false,
+  completedAt: null,
+  eventId: null,
+  penaltyEventId: null,
+  missed: false,
+});
+
+export const isOverdue = (task, todayKey) =>
+  !task.completed && !task.missed && Boolean(task.dueDate) && task.dueDate < todayKey;
+
+// Brings the task list up to date for `todayKey`:
+// - overdue missions with an `overduePenalty` are returned in `penalties` (once each)
+// - overdue recurring instances are closed as `missed` and replaced by the next one
+// The caller logs each penalty and records its `penaltyEventId` on the task.
+export const rollOverTasks = (tasks, todayKey) => {
+  const penalties = [];
+  const spawned = [];
+
+  const updated = tasks.map(task => {
+    if (!isOverdue(task, todayKey)) return task;
+
+    if (task.overduePenalty > 0 && !task.penaltyEventId) penalties.push(task);
+    if (!task.recurrence) return task;
+
+    const hasSuccessor = tasks.some(t =>
+      t.seriesId === task.seriesId && t.id !== task.id && (t.dueDate || '') > task.dueDate
+    );
+    if (!hasSuccessor) spawned.push(spawnNextInstance(task, todayKey));
+    return { ...task, missed: true };
+  });
+
+  const changed = spawned.length > 0 || updated.some((t, i) => t !== tasks[i]);
+  return { tasks: changed ? [...spawned, ...updated] : tasks, penalties };
+};
+
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+  if (recurrence.type === 'daily') return 'Daily';
+  if (recurrence.type === 'weekdays') return 'Weekdays';
+  return recurrence.every === 1 ? 'Daily' : `Every ${recurrence.every} days`;
+};
+
+// Active first by due date (undated last), completed newest first.
+export const sortTasks = (tasks) => {
+  const active = tasks
+    .filter(t => !t.completed && !t.missed)
+    .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'));
+  const completed = tasks
+    .filter(t => t.completed)
+    .sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+  return { active, completed };
+};
@@ -0,0 +1,51 @@
+// --- Theme ---
+// Semantic colour tokens for both themes. Tailwind turns them into CSS variables
+// and `bg-app`, `bg-surface`, `text-primary`... classes (see tailwind.config.js), and
+// flips the stock palettes the same way, so `.dark` on <html> re-themes every screen.
+
+export const THEME_MODES = [
+  { id: 'system', label: 'System' },
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' },
+];
+
+export const THEME_TOKENS = {
+  light: {
+    app: '#FBFCFE',
+    surface: '#FFFFFF',
+    primary: '#0EA5A4',
+    success: '#16A34A',
+    warning: '#F97316',
+    ink: '#0F172A',
+    muted: '#6B7280',
+  },
+  dark: {
+    app: '#0B1120',
+    surface: '#131C2E',
+    primary: '#14B8A6',
+    success: '#22C55E',
+    warning: '#F97316',
+    ink: '#F1F5F9',
+    muted: '#94A3B8',
+  },
+};
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export const getSystemTheme = () =>
+  typeof window !== 'undefined' && window.matchMedia?.(DARK_QUERY).matches ? 'dark' : 'light';
+
+export const resolveTheme = (mode, systemTheme) => mode === 'light' || mode === 'dark' ? mode : systemTheme;
+
+// Calls `onChange` with 'light' or 'dark' whenever the OS setting flips; returns an unsubscribe.
+export const watchSystemTheme = (onChange) => {
+  const query = typeof window !== 'undefined' && window.matchMedia?.(DARK_QUERY);
+  if (!query) return () => {};
+  const listener = (e) => onChange(e.matches ? 'dark' : 'light');
+  query.addEventListener('change', listener);
+  return () => query.removeEventListener('change', listener);
+};
+
+export const applyTheme = (theme) => {
+  document.documentElement.classList.toggle('dark', theme === 'dark');
+};
@@ -0,0 +1,48 @@
+import React from 'react';
+import { HABIT_ICONS } from './habits';
+import { AVATAR_COLORS, getInitials } from './profiles';
+
+// --- Shared Components ---
+
+export const Button = ({ children, onClick, variant = 'primary', className = '', ...props }) => {
+  const baseStyle = "active:scale-95 transition-transform rounded-xl font-medium flex items-center justify-center gap-2";
+  const variants = {
+    primary: `bg-primary text-white shadow-sm shadow-primary/30`,
+    danger: `bg-warning text-white shadow-sm shadow-warning/30`,
+    ghost: `bg-slate-100 text-slate-600`,
+    outline: `border border-slate-200 text-slate-600 bg-surface`
+  };
+
+  return (
+    <button
+      onClick={onClick}
+      className={`${baseStyle} ${variants[variant]} ${className}`}
+      {...props}
+    >
+      {children}
+    </button>
+  );
+};
+
+export const Card = ({ children, className = '' }) => (
+  <div className={`bg-surface rounded-2xl p-4 shadow-sm border border-slate-100 ${className}`}>
+    {children}
+  </div>
+);
+
+export const HabitIcon = ({ name, size = 18, ...props }) => {
+  const Icon = HABIT_ICONS[name] || HABIT_ICONS.Zap;
+  return <Icon size={size} {...props} />;
+};
+
+const AVATAR_SIZES = {
+  sm: 'w-8 h-8 text-xs',
+  md: 'w-10 h-10 text-sm',
+  lg: 'w-24 h-24 text-3xl shadow-lg',
+};
+
+export const Avatar = ({ profile, size = 'md' }) => (
+  <div className={`${AVATAR_SIZES[size]} bg-gradient-to-tr ${AVATAR_COLORS[profile.color] || AVATAR_COLORS.teal} rounded-full flex items-center justify-center text-white font-bold shrink-0`}>
+    {getInitials(profile.name)}
+  </div>
+);
@@ -1,11 +1,50 @@
+import colors from 'tailwindcss/colors';
+import plugin from 'tailwindcss/plugin';
+import { THEME_TOKENS } from './src/theme.js';
+
+// Palettes the app uses. Each shade becomes a CSS variable, and dark mode mirrors
+// the scale (50 <-> 950, 100 <-> 900...) so light tints turn into dark ones.
+const PALETTES = ['slate', 'teal', 'cyan', 'green', 'orange', 'amber', 'purple', 'fuchsia', 'red', 'rose', 'pink', 'sky', 'blue'];
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+const toChannels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ');
+const toColor = (variable) => `rgb(var(--${variable}) / <alpha-value>)`;
+
+const paletteVariables = (mirrored) => Object.fromEntries(
+  PALETTES.flatMap(name => SHADES.map((shade, i) => [
+    `--${name}-${shade}`,
+    toChannels(colors[name][mirrored ? SHADES[SHADES.length - 1 - i] : shade]),
+  ]))
+);
+
+const tokenVariables = (tokens) => Object.fromEntries(
+  Object.entries(tokens).map(([name, hex]) => [`--color-${name}`, toChannels(hex)])
+);
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
     "./index.html",
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
+  darkMode: 'class',
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        ...Object.fromEntries(PALETTES.map(name => [
+          name,
+          Object.fromEntries(SHADES.map(shade => [shade, toColor(`${name}-${shade}`)])),
+        ])),
+        ...Object.fromEntries(Object.keys(THEME_TOKENS.light).map(name => [name, toColor(`color-${name}`)])),
+      },
+    },
   },
-  plugins: [],
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({
+        ':root': { ...paletteVariables(false), ...tokenVariables(THEME_TOKENS.light), colorScheme: 'light' },
+        '.dark': { ...paletteVariables(true), ...tokenVariables(THEME_TOKENS.dark), colorScheme: 'dark' },
+      });
+    }),
+  ],
 }
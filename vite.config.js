@@ -1,7 +1,65 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+import { copyFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// GitHub Pages has no rewrites, so unknown paths get its 404 page. Shipping the app
+// shell as 404.html lets deep links like /<repo>/goals boot the app, which then
+// reads the route from the URL (see src/routes.js).
+const spaFallback = () => {
+  let outDir
+  return {
+    name: 'spa-fallback',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    closeBundle: () => copyFile(path.join(outDir, 'index.html'), path.join(outDir, '404.html')),
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // GitHub Pages serves the app from /<repo>/; `npm run deploy` builds with BASE_PATH set
+  // to `config.basePath` in package.json
+  base: process.env.BASE_PATH || '/',
+  plugins: [
+    react(),
+    spaFallback(),
+    // Installable, offline-first build. `prompt` waits for the user to accept an update
+    // (see UpdatePrompt.jsx) instead of swapping the app out from under an open log.
+    VitePWA({
+      registerType: 'prompt',
+      includeAssets: ['favicon.svg', 'apple-touch-icon.png'],
+      manifest: {
+        name: 'Delusional RPG',
+        short_name: 'Delusional',
+        description: 'Earn and lose money for your habits.',
+        theme_color: '#0EA5A4',
+        background_color: '#FBFCFE',
+        display: 'standalone',
+        orientation: 'portrait',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+        // Long-press menu of the installed app. URLs are relative to the base (see src/routes.js).
+        shortcuts: [
+          { name: 'Log 1 L of water', short_name: 'Water', url: 'log/water', icons: [{ src: 'pwa-192x192.png', sizes: '192x192' }] },
+          { name: 'Log a workout', short_name: 'Exercise', url: 'log/exercise', icons: [{ src: 'pwa-192x192.png', sizes: '192x192' }] },
+          { name: 'Missions', short_name: 'Missions', url: 'todo', icons: [{ src: 'pwa-192x192.png', sizes: '192x192' }] },
+          { name: 'History', short_name: 'History', url: 'history', icons: [{ src: 'pwa-192x192.png', sizes: '192x192' }] },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png}'],
+        // Only GitHub Pages serves 404.html; offline navigations fall back to index.html
+        globIgnores: ['404.html'],
+        // Focuses the app when a reminder notification is tapped
+        importScripts: ['notification-click.js'],
+      },
+    }),
+  ],
 })